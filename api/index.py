@@ -2,7 +2,7 @@ from flask import Flask, render_template, send_from_directory, jsonify, request,
 import os
 import sys
 import requests
-from json import loads
+from json import loads, dumps
 
 # Configuration Flask optimisée pour Vercel
 app = Flask(__name__)
@@ -238,6 +238,11 @@ def conversation():
             "question": question_text.replace("?", "").replace("\n", "")
         }
 
+        # Reprise d'une réponse interrompue : on transmet le début déjà reçu
+        partial_answer = data.get('meta', {}).get('content', {}).get('partial_answer')
+        if data.get('action') == '_continue' and partial_answer:
+            payload["partial_answer"] = partial_answer
+
         # URL de l'API externe
         api_url = "https://legal-chatbot.eastus.cloudapp.azure.com:443/v1/assist/stream/"
         api_headers = {
@@ -285,6 +290,84 @@ def conversation():
         print(f"Error in conversation endpoint: {e}")
         return jsonify({"error": f"Server error: {str(e)}"}), 500
 
+# Avis like / dislike sur les réponses de l'assistant
+@app.route('/backend-api/v2/feedback', methods=['POST'])
+def feedback():
+    try:
+        data = request.get_json(silent=True)
+        if not data or not data.get('message_id'):
+            return jsonify({"error": "message_id is required"}), 400
+
+        if data.get('rating') not in ('like', 'dislike', None):
+            return jsonify({"error": "rating must be 'like', 'dislike' or null"}), 400
+
+        # Pas de disque persistant sur Vercel : l'avis est tracé dans les logs
+        print(f"Feedback received: {dumps(data, ensure_ascii=False)}")
+
+        return jsonify({"success": True}), 200, {'Access-Control-Allow-Origin': '*'}
+
+    except Exception as e:
+        print(f"Error in feedback endpoint: {e}")
+        return jsonify({"error": f"Server error: {str(e)}"}), 500
+
+# Titre court d'une conversation, demandé après la première réponse
+@app.route('/backend-api/v2/title', methods=['POST'])
+def title():
+    try:
+        data = request.get_json(silent=True)
+        if not data or not data.get('question'):
+            return jsonify({"error": "question is required"}), 400
+
+        # Pas d'endpoint dédié côté API : la consigne de titrage passe par l'assistant
+        payload = {
+            "question": (
+                "Propose un titre de 6 mots maximum, sans guillemets ni ponctuation finale, "
+                "pour une conversation qui commence par cette question : "
+                + data['question'].replace("?", "").replace("\n", " ")[:500]
+            )
+        }
+
+        api_url = "https://legal-chatbot.eastus.cloudapp.azure.com:443/v1/assist/stream/"
+        api_headers = {
+            "Content-Type": "application/json",
+            'cache-control': 'no-cache',
+            'Connection': 'keep-alive'
+        }
+
+        parts = []
+        with requests.post(api_url, headers=api_headers, json=payload, stream=True, timeout=10) as r:
+            if r.status_code >= 400:
+                return jsonify({"error": f"API returned status code {r.status_code}"}), 502
+
+            for line in r.iter_lines():
+                if not line:
+                    continue
+                chunk = line.decode('utf-8')
+                chunk = chunk[6:] if chunk.startswith('data: ') else chunk
+                if chunk.strip() == '[DONE]':
+                    break
+                try:
+                    parsed = loads(chunk)
+                except ValueError:
+                    parsed = None
+                if isinstance(parsed, dict):
+                    parts.append(parsed.get('content') or parsed.get('response') or '')
+                else:
+                    parts.append(chunk)
+
+        title = ''.join(parts).strip().split('\n')[0].strip(' "«»')[:80]
+        if not title:
+            return jsonify({"error": "empty title"}), 502
+
+        return jsonify({"title": title}), 200, {'Access-Control-Allow-Origin': '*'}
+
+    except requests.exceptions.RequestException as e:
+        print(f"Error in title endpoint: {e}")
+        return jsonify({"error": "External API unreachable"}), 502
+    except Exception as e:
+        print(f"Error in title endpoint: {e}")
+        return jsonify({"error": f"Server error: {str(e)}"}), 500
+
 # Route pour gérer les requêtes OPTIONS (CORS preflight)
 @app.route('/backend-api/v2/conversation', methods=['OPTIONS'])
 def conversation_options():
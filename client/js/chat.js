@@ -3,10 +3,16 @@ const query = (obj) =>
     .map((k) => encodeURIComponent(k) + "=" + encodeURIComponent(obj[k]))
     .join("&");
 const colorThemes = document.querySelectorAll('[name="theme"]');
-const markdown = window.markdownit();
+// Un seul rendu Markdown pour le stream, l'historique, l'accueil et l'export (voir ChatConfig.markdown)
+const markdown = createMarkdownRenderer({
+  ...getConfig("markdown", {}),
+  highlight: getConfig("messages.enableCodeHighlight", true),
+  copyButtons: getConfig("features.copyButton", true),
+});
 const message_box = document.getElementById(`messages`);
 const message_input = document.getElementById(`message-input`);
 const box_conversations = document.querySelector(`.top`);
+const convo_list = box_conversations.querySelector(`.convo-list`);
 const spinner = box_conversations.querySelector(".spinner");
 const stop_generating = document.querySelector(`.stop_generating`);
 const send_button = document.querySelector(`#send-button`);
@@ -14,6 +20,14 @@ const get_sep = "|||";
 const copyButton = `<div class="copy-icon"> <img src="/assets/img/copy.png" height="14px" /> </div>`;
 const likeButton = `<div class="like-icon"> <img src="/assets/img/like.png" height="14px" /> </div>`;
 const dislikeButton = `<div class="dislike-icon"> <img src="/assets/img/dislike.png" height="14px" /> </div>`;
+// Boutons like / dislike reliés à l'élément assistant enregistré
+const feedbackButtons = (token, item = {}) => {
+  const rating = item.feedback ? item.feedback.rating : null;
+  return `<div class="like-icon ${rating === "like" ? "active" : ""}" title="Bonne réponse" onclick="rate_answer('${token}', 'like')"> <img src="/assets/img/like.png" height="14px" /> </div>
+                              <div class="dislike-icon ${rating === "dislike" ? "active" : ""}" title="Mauvaise réponse" onclick="rate_answer('${token}', 'dislike')"> <img src="/assets/img/dislike.png" height="14px" /> </div>`;
+};
+const regenerateButton = (token) =>
+  `<div class="regenerate-icon" title="Régénérer la réponse" onclick="regenerate_answer('${token}')"> <i class="fa-regular fa-arrows-rotate"></i> </div>`;
 
 // Fonction pour générer l'avertissement dynamique
 const getDynamicWarning = () => {
@@ -25,22 +39,128 @@ const getDynamicWarning = () => {
   return `<span class="dynamic-warning">${warnings[language]}</span>`;
 };
 
+// Avertissement affiché quand une réponse est interrompue (délai, réseau, erreur du service ou arrêt)
+const getInterruptionText = (kind) => {
+  const language = navigator.language.startsWith('fr') ? 'fr' : 'en';
+  const notices = {
+    fr: {
+      total: "La réponse a dépassé le délai maximal et a été interrompue.",
+      idle: "Le serveur ne répond plus, la réponse a été interrompue.",
+      network: "La connexion a été interrompue pendant la réponse.",
+      error: "Le service a renvoyé une erreur pendant la réponse.",
+      aborted: "La génération a été arrêtée."
+    },
+    en: {
+      total: "The response exceeded the maximum delay and was interrupted.",
+      idle: "The server stopped responding, the response was interrupted.",
+      network: "The connection was lost while answering.",
+      error: "The service returned an error while answering.",
+      aborted: "Generation was stopped."
+    }
+  };
+  return notices[language][kind];
+};
+
+const getInterruptionNotice = (kind) => {
+  const icons = {
+    total: "fa-clock",
+    idle: "fa-plug",
+    network: "fa-wifi-slash",
+    error: "fa-triangle-exclamation",
+    aborted: "fa-stop"
+  };
+  return `<div class="stream-interruption stream-interruption-${kind}"><i class="fa-regular ${icons[kind]}"></i> ${getInterruptionText(kind)}</div>`;
+};
+
+const continueButton = (token) =>
+  `<button class="continue-answer soft-shadow" onclick="continue_answer('${token}')">
+    <i class="fa-regular fa-forward"></i>
+    <span>Continuer la réponse</span>
+  </button>`;
+
 const actionsButtons = `<div class="actions">
                               ${copyButton}
                               ${likeButton}
                               ${dislikeButton}
                               ${getDynamicWarning()}
                           </div>`;
+// Navigation ‹ 2/3 › utilisée pour les variantes de réponse et les branches
+const pagerControls = (handler, token, active, total, className) =>
+  `<div class="${className}">
+            <button onclick="${handler}('${token}', -1)" ${active === 0 ? "disabled" : ""}><i class="fa-regular fa-chevron-left"></i></button>
+            <span>${active + 1}/${total}</span>
+            <button onclick="${handler}('${token}', 1)" ${active === total - 1 ? "disabled" : ""}><i class="fa-regular fa-chevron-right"></i></button>
+          </div>`;
+
+// Pagination entre les variantes d'une même réponse (1/3, 2/3…)
+const variantPager = (token, item) => {
+  const total = item.variants ? item.variants.length : 0;
+  if (total < 2) return "";
+
+  const active = item.activeVariant ?? total - 1;
+  return pagerControls("show_variant", token, active, total, "variant-pager");
+};
+
+// Navigation entre les branches nées de l'édition d'une question
+const branchPager = (token, fork) => {
+  if (!fork) return "";
+
+  return pagerControls(
+    "switch_branch",
+    token,
+    fork.activeBranch,
+    fork.branches.length,
+    "variant-pager branch-pager"
+  );
+};
+
+const editButton = (token) =>
+  `<div class="edit-icon" title="Modifier la question" onclick="edit_message('${token}')"> <i class="fa-regular fa-pen"></i> </div>`;
+
+// Actions d'une question enregistrée (édition, branches)
+const userActions = (token, fork = null) => `<div class="user-actions">
+                              ${branchPager(token, fork)}
+                              ${editButton(token)}
+                          </div>`;
+
+// Actions d'une réponse enregistrée (copie, avis, régénération, variantes)
+const answerActions = (token, item = {}) => `<div class="actions">
+                              ${variantPager(token, item)}
+                              ${copyButton}
+                              ${feedbackButtons(token, item)}
+                              ${regenerateButton(token)}
+                              ${getDynamicWarning()}
+                          </div>`;
+
+// HTML d'une réponse terminée : le même en direct, au rechargement et après régénération
+// Les avatars sont enregistrés sous forme de clé : le balisage vient toujours de
+// la page, jamais de l'enregistrement (importé ou synchronisé)
+const avatars = { user: user_image, assistant: gpt_image, imanage: imanage_image, video: video_image };
+const default_avatars = { user: "user", assistant: "assistant", video_assistant: "video" };
+const avatar_html = (item) =>
+  avatars[avatarKey(item.image) || default_avatars[item.role] || "assistant"];
+
+const answer_html = (token, item) => markdown.render(item.content) + answerActions(token, item);
+
 const loadingStream = `<span class="loading-stream"></span>`;
 let prompt_lock = false;
 
+// Client API partagé : toutes les requêtes de chat passent par ApiClient
+const api_client = new ApiClient();
+api_client.initialize();
+
+// Couche de stockage unique des conversations (initialisée au chargement)
+const storage_manager = new StorageManager();
+
+// Index de recherche plein texte, reconstruit en mémoire après déverrouillage
+const search_index = new SearchIndex();
+
 // Messages de greeting mis à jour
 const greetingMessages = {
   fr: "Bonjour. Je suis N.O.G – Nested Orchestration & Governance.\nJe suis conçu pour orchestrer et gouverner les interactions entre différents agents spécialisés, avec une capacité native de connexion à des systèmes tiers tels qu'iManage, entre autres.\n\nInteropérable avec plusieurs grands modèles de langage (GPT, Mistral, Claude), je prends en charge des opérations complexes tout en assurant une traçabilité fine et systématique de chaque interaction.\n\nCette architecture garantit une gouvernance robuste, conforme aux exigences des environnements juridiques professionnels.",
   en: "Hi. I am N.O.G – Nested Orchestration & Governance.\nI am designed to orchestrate and govern interactions between specialized agents, with native integration capabilities for third-party systems such as iManage, among others.\n\nInteroperable with leading large language models (GPT, Mistral, Claude), I support complex operations while ensuring fine-grained, systematic traceability of every interaction.\n\nThis architecture guarantees robust governance, aligned with the standards and expectations of professional legal environments."
 };
 
-hljs.addPlugin(new CopyButtonPlugin());
 // Initialisation du contenu des agents sera faite lors de l'appel à openAgents()
 
 // Les fonctions de redimensionnement sont maintenant gérées par ChatInputManager
@@ -87,45 +207,6 @@ function openAgents() {
     } 
   }, 100); 
 }
-          <p><strong>Debug info:</strong></p>
-          <p>Error: ${error.message}</p>
-        </div>
-      </div>
-    `;
-  }
-  
-  console.log("🎨 Setting sidebar styles...");
-  
-  // Fermer la sidebar si elle est ouverte
-  var body = document.getElementsByTagName('body')[0];
-  if (hasClass(body, "sidebar-open")) {
-    removeClass(body, "sidebar-open");
-    addClass(body, "sidebar-collapsed");
-  }
-  
-  // Ajouter la classe agents-open
-  document.body.classList.add('agents-open');
-  
-  // Afficher le sidebar avec transitions
-  librarySideNav.style.width = "100vw";
-  librarySideNav.style.display = "block";
-  
-  console.log("📐 Current sidebar width:", librarySideNav.style.width);
-  console.log("📐 Current sidebar display:", librarySideNav.style.display);
-  
-  // Rendre le menu visible après un délai
-  setTimeout(() => {
-    // Ajuster pour la sidebar
-    if (typeof adjustElementsForSidebar === 'function') {
-      adjustElementsForSidebar();
-      console.log("✅ Elements adjusted for sidebar");
-    } else {
-      console.log("⚠️ adjustElementsForSidebar function not found");
-    }
-  }, 100);
-  
-  console.log("🎉 openAgents completed");
-}
 
 // Fonction pour sélectionner un agent
 function selectAgent(agentId) {
@@ -172,18 +253,18 @@ function generateAgentsHTML() {
   Object.values(agentsData).forEach((agent, index) => { 
     const isSelected = selectedAgents.includes(agent.id); 
     html += ` 
-      <div class="agent-card" style="--index: ${index}" data-agent-id="${agent.id}"> 
+      <div class="agent-card" style="--index: ${index}" data-agent-id="${escapeHtml(agent.id)}"> 
         <div class="agent-card-header"> 
-          <div class="agent-icon" style="background: ${agent.color}">${agent.icon}</div> 
+          <div class="agent-icon" style="background: ${escapeHtml(agent.color)}">${sanitizeHtml(agent.icon)}</div> 
           <label class="agent-checkbox"> 
-            <input type="checkbox" ${isSelected ? 'checked' : ''} onchange="toggleAgent('${agent.id}')"> 
+            <input type="checkbox" ${isSelected ? 'checked' : ''} onchange="toggleAgent(${js_arg(agent.id)})"> 
             <span class="checkmark"></span> 
           </label> 
         </div> 
         <div class="agent-content"> 
-          <h3 class="agent-title">${agent.title}</h3> 
-          <div class="agent-context">${agent.context}</div> 
-          <p class="agent-description">${agent.body}</p> 
+          <h3 class="agent-title">${escapeHtml(agent.title)}</h3> 
+          <div class="agent-context">${escapeHtml(agent.context)}</div> 
+          <p class="agent-description">${escapeHtml(agent.body)}</p>  
         </div> 
       </div> 
     `; 
@@ -257,7 +338,7 @@ async function openLinks(videoIdsParam, titlesParams) {
     const video_id = video_ids[i];
     const title = titles[i];
     const linksMenu = document.getElementById("linksMenu");
-    linksMenu.innerHTML += `<button type="button" data-video-id="${video_id}" class="collapsible video-button onboarding-section">${title}</button>`;
+    linksMenu.innerHTML += `<button type="button" data-video-id="${escapeHtml(video_id)}" class="collapsible video-button onboarding-section">${escapeHtml(title)}</button>`;
   }
 
   var video_buttons = document.getElementsByClassName("video-button");
@@ -268,7 +349,7 @@ async function openLinks(videoIdsParam, titlesParams) {
       const videoPlayer = document.getElementById(`link-video-iframe`);
       const videoId = button.getAttribute("data-video-id");
 
-      videoPlayer.src = `https://www.youtube.com/embed/${videoId}`;
+      videoPlayer.src = `https://www.youtube.com/embed/${encodeURIComponent(videoId)}`;
     });
   }
   document.getElementById("sideNavHeader").style.display = "flex";
@@ -282,10 +363,14 @@ function closeLinks() {
 
 class_last_message_assistant = "last-message-assistant";
 
+// Texte saisi par l'utilisateur : échappé, seuls les retours à la ligne deviennent du HTML
 const format = (text) => {
-  return text.replace(/(?:\r\n|\r|\n)/g, "<br>");
+  return escapeHtml(text).replace(/(?:\r\n|\r|\n)/g, "<br>");
 };
 
+// Argument d'un gestionnaire inline (onclick="f(...)") : chaîne JS échappée pour l'attribut
+const js_arg = (value) => escapeHtml(JSON.stringify(String(value)));
+
 message_input.addEventListener("blur", () => {
   window.scrollTo(0, 0);
 });
@@ -300,13 +385,23 @@ send_button.addEventListener('click', async () => {
   await handle_ask();
 });
 
+// Place toutes les conversations dans la corbeille ; les réglages, le thème, les
+// dossiers et le chiffrement ne sont pas touchés
 const delete_conversations = async () => {
-  localStorage.clear();
+  const ids = await enqueue_storage(() => storage_manager.trashAllConversations());
+  if (ids.length === 0) return;
+
+  ids.forEach((id) => search_index.removeConversation(id));
+  await load_conversations(20, 0, true);
   await new_conversation();
+
+  window.toast.show(`${ids.length} conversation(s) placée(s) dans la corbeille`, {
+    actionLabel: "Annuler",
+    onAction: () => restore_conversations(ids),
+  });
 };
 
 const handle_ask = async () => {
-  window.scrollTo(0, 0);
   let message = message_input.value;
 
   if (message.length > 0) {
@@ -329,14 +424,15 @@ const remove_cancel_button = async () => {
 };
 
 const ask_gpt = async (message) => {
+  let text = "";
+  let stream_renderer = null;
+
   try {
     message_input.value = ``;
     message_input.innerHTML = ``;
     message_input.innerText = ``;
 
-    add_conversation(window.conversation_id, message.substr(0, 20));
-    window.scrollTo(0, 0);
-    window.controller = new AbortController();
+    add_conversation(window.conversation_id, generateLocalTitle(message));
 
     model = document.getElementById("model");
     prompt_lock = true;
@@ -345,19 +441,19 @@ const ask_gpt = async (message) => {
 
     stop_generating.classList.remove(`stop_generating-hidden`);
 
-    message_box.innerHTML += `
+    message_box.insertAdjacentHTML("beforeend", `
             <div class="message message-user">
                 <div class="content" id="user_${token}">
-                    ${format(message)}
+                    <div class="user-text">${format(message)}</div>
+                    ${userActions(token)}
                 </div>
-            </div>`;
+            </div>`);
 
-    message_box.scrollTop = message_box.scrollHeight;
-    window.scrollTo(0, 0);
+    // La question envoyée ramène au bas du fil et réactive le suivi
+    window.messageScroll.jumpToLatest();
     await new Promise((r) => setTimeout(r, 500));
-    window.scrollTo(0, 0);
 
-    message_box.innerHTML += `
+    message_box.insertAdjacentHTML("beforeend", `
             <div class="message message-assistant">
             ${shape.replace(
       'id="shape"',
@@ -371,168 +467,238 @@ const ask_gpt = async (message) => {
                     <div id="cursor"></div>
                 </div>
             </div>
-        `;
+        `);
 
-    message_box.scrollTop = message_box.scrollHeight;
-    window.scrollTo(0, 0);
+    window.messageScroll.update();
     await new Promise((r) => setTimeout(r, 1000));
-    window.scrollTo(0, 0);
-
-    const response = await fetch(`/backend-api/v2/conversation`, {
-      method: `POST`,
-      signal: window.controller.signal,
-      headers: {
-        "content-type": `application/json`,
-        accept: `text/event-stream`,
-      },
-      body: JSON.stringify({
-        conversation_id: window.conversation_id,
-        action: `_ask`,
-        model: model.options[model.selectedIndex]?.value,
-        meta: {
-          id: window.token,
-          content: {
-            conversation: await get_conversation(window.conversation_id),
-            content_type: "text",
-            parts: [
-              {
-                content: message,
-                role: "user",
-              },
-            ],
-          },
-        },
-      }),
-    });
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = "";
-    let text = "";
-    let pendingText = "";
-    let isProcessing = false;
-    const TYPING_SPEED = 7;
-
-    const processPendingText = async (newText = "") => {
-      if (newText) {
-        pendingText += newText;
-      }
 
-      if (isProcessing) {
-        return;
-      }
+    // Le streaming (retries, abort, parsing des chunks) est géré par ApiClient
+    const stream = await api_client.sendMessage(message, window.conversation_id, {
+      model: model.options[model.selectedIndex]?.value,
+      messageId: window.token,
+      conversation: await get_conversation(window.conversation_id),
+    });
 
-      isProcessing = true;
-      while (pendingText.length > 0) {
-        const chars = pendingText.split("");
-        pendingText = "";
-
-        for (const char of chars) {
-          text += char;
-          document.getElementById(`imanage_${window.token}`).innerHTML =
-            marked.parse(text);
-          document.getElementById(
-            `imanage_${window.token}`
-          ).lastElementChild.innerHTML += loadingStream;
-          message_box.scrollTop = message_box.scrollHeight;
-          await new Promise((resolve) => setTimeout(resolve, TYPING_SPEED));
-        }
-      }
-      isProcessing = false;
-    };
+    // L'effet de frappe est découplé de la lecture du stream :
+    // les délais d'ApiClient ne mesurent que le réseau, pas l'animation
+    stream_renderer = create_stream_renderer(document.getElementById(`imanage_${window.token}`));
 
     let links = [];
+    let firstChunk = true;
     language = "fr";
-    while (true) {
-      const { value, done } = await reader.read();
-
-      if (done) break;
-
-      // Decode chunk and add to buffer
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process buffer line by line
-      const lines = buffer.split("\n");
-      buffer = lines.pop() || ""; // Keep the last incomplete line in the buffer
+    for await (const chunk of stream) {
+      if (chunk.type === "done") break;
 
-      for (const line of lines) {
-        if (line.startsWith("data: ")) {
-          const eventData = line.slice(6).trim();
-          if (eventData === "[DONE]") {
-            await processPendingText();
-
-            await writeNoRAGConversation(text, message, links);
-
-            if (links.length !== 0) {
-              await writeRAGConversation(links, text, language);
-            }
-
-            return;
-          }
+      if (firstChunk) {
+        changeEggImageToGPTImage();
+        firstChunk = false;
+      }
 
-          const dataObject = JSON.parse(eventData);
-          if (links.length === 0) {
-            links = dataObject.metadata.links;
-            changeEggImageToGPTImage();
-          } else {
-            changeEggImageToImanage();
-          }
-          language = dataObject.metadata.language;
-          try {
-            if (dataObject.response) {
-              await processPendingText(dataObject.response);
-            }
-          } catch (error) {
-            console.error("Error parsing JSON:", error);
-          }
-        }
+      switch (chunk.type) {
+        case "sources":
+          links = chunk.sources;
+          changeEggImageToImanage();
+          break;
+        case "metadata":
+          language = chunk.metadata.language || language;
+          break;
+        case "content":
+          stream_renderer.push(chunk.content);
+          break;
       }
     }
 
-    let responseContent = [];
+    text = await stream_renderer.finish();
 
-    add_message(window.conversation_id, "user", user_image, message);
-  } catch (e) {
-    document.getElementById(`shape_assistant_${window.token}`).src =
-      "/assets/img/gpt_egg.png";
-    document.getElementById(`assistant_${window.token}`).style.opacity = "0";
+    await writeNoRAGConversation(text, message, links);
+    generate_conversation_title(window.conversation_id, message, text);
 
-    add_message(window.conversation_id, "user", user_image, message);
+    if (links.length !== 0) {
+      await writeRAGConversation(links, text, language);
+    }
+  } catch (e) {
+    // Conserver le texte déjà reçu mais pas encore affiché
+    if (stream_renderer) text = stream_renderer.stop();
+
+    // La requête a pu échouer avant l'insertion de la bulle de réponse
+    const shape_image = document.getElementById(`shape_assistant_${window.token}`);
+    const loading_image = document.getElementById(`assistant_${window.token}`);
+    const bubble = document.getElementById(`imanage_${window.token}`);
+    if (shape_image) shape_image.src = "/assets/img/gpt_egg.png";
+    if (loading_image) loading_image.style.opacity = "0";
+
+    add_message(window.conversation_id, "user", "user", message, {
+      id: window.token,
+    });
 
-    message_box.scrollTop = message_box.scrollHeight;
+    window.messageScroll.update();
     await remove_cancel_button();
     prompt_lock = false;
 
-    await load_conversations(20, 0);
-
     let cursorDiv = document.getElementById(`cursor`);
     if (cursorDiv) cursorDiv.parentNode.removeChild(cursorDiv);
 
-    if (e.name != `AbortError`) {
+    const interruption = get_interruption_kind(e);
+
+    // Reprise seulement si une partie de la réponse est arrivée ; une erreur
+    // renvoyée par le service s'affiche comme telle
+    const resumable = text && interruption !== "aborted" && interruption !== "error";
+
+    if (resumable) {
+      // Réponse partielle conservée, reprise possible via "Continuer"
+      render_interrupted_answer(window.token, text, interruption);
+      add_message(window.conversation_id, "assistant", "assistant", text, {
+        id: window.token,
+        incomplete: true,
+        interruption: interruption,
+      });
+    } else if (interruption === "total" || interruption === "idle") {
+      // Délai dépassé avant le premier caractère : rien à continuer
+      if (bubble) bubble.innerHTML = getInterruptionNotice(interruption);
+      add_message(
+        window.conversation_id,
+        "assistant",
+        "assistant",
+        getInterruptionText(interruption),
+        { id: window.token }
+      );
+    } else if (interruption !== "aborted") {
       let error_message = `oops ! something went wrong, please try again / reload.`;
 
-      document.getElementById(`imanage_${window.token}`).innerHTML =
-        error_message;
+      if (bubble) bubble.innerHTML = error_message;
       add_message(
         window.conversation_id,
         "assistant",
-        gpt_image,
-        error_message
+        "assistant",
+        error_message,
+        { id: window.token }
       );
     } else {
-      document.getElementById(
-        `imanage_${window.token}`
-      ).innerHTML += ` [aborted]`;
+      if (bubble) bubble.insertAdjacentHTML("beforeend", ` [aborted]`);
 
       add_message(
         window.conversation_id,
         "assistant",
-        gpt_image,
-        text + ` [aborted]`
+        "assistant",
+        text + ` [aborted]`,
+        { id: window.token }
       );
     }
+  }
+};
+
+// Réponse en cours de stream : les blocs terminés restent en place (sélection,
+// copie), seul le dernier est recalculé, au rythme de ChatConfig.animations.typing
+const create_stream_renderer = (bubble, options = {}) =>
+  new StreamRenderer(bubble, markdown, {
+    typingSpeed: getConfig("animations.typing.speed", 7),
+    typewriter: getConfig("animations.typing.enabled", true),
+    cursor: loadingStream,
+    onUpdate: () => window.messageScroll.update(),
+    ...options,
+  });
+
+const get_interruption_kind = (error) => {
+  switch (error.name) {
+    case `AbortError`:
+      return "aborted";
+    case `ApiIdleTimeoutError`:
+      return "idle";
+    case `ApiTimeoutError`:
+      return "total";
+    case `ApiError`:
+      return "error";
+    default:
+      return "network";
+  }
+};
+
+const render_interrupted_answer = (token, text, kind) => {
+  const bubble = document.getElementById(`imanage_${token}`);
+  if (!bubble) return;
+
+  bubble.innerHTML =
+    (text ? markdown.render(text) : "") +
+    getInterruptionNotice(kind) +
+    continueButton(token);
+  markdown.enhance(bubble);
+};
+
+// Reprend une réponse interrompue : le début déjà reçu est renvoyé comme
+// contexte et la suite est ajoutée dans la même bulle
+const continue_answer = async (token) => {
+  if (prompt_lock) return;
+
+  const conversation = await read_conversation(window.conversation_id);
+  const items = conversation ? get_active_path(conversation.messages) : [];
+  const index = items.findIndex((item) => item.id === token && item.incomplete);
+  if (index < 1) return;
+
+  const item = items[index];
+  const question = items[index - 1].content;
+  const bubble = document.getElementById(`imanage_${token}`);
+  const model = document.getElementById("model");
+  let text = item.content;
+  let links = [];
+  let language = "fr";
+
+  prompt_lock = true;
+  stop_generating.classList.remove(`stop_generating-hidden`);
+  bubble.innerHTML = (text ? markdown.render(text) : "") + loadingStream;
+  const stream_renderer = create_stream_renderer(bubble, { text: text });
+
+  try {
+    const stream = await api_client.continueMessage(
+      question,
+      item.content,
+      window.conversation_id,
+      {
+        model: model.options[model.selectedIndex]?.value,
+        messageId: token,
+        conversation: strip_tree(items.slice(0, index - 1)),
+      }
+    );
+
+    for await (const chunk of stream) {
+      if (chunk.type === "done") break;
+
+      switch (chunk.type) {
+        case "sources":
+          links = chunk.sources;
+          break;
+        case "metadata":
+          language = chunk.metadata.language || language;
+          break;
+        case "content":
+          stream_renderer.push(chunk.content);
+          break;
+      }
+    }
+
+    text = await stream_renderer.finish();
+    bubble.innerHTML = answer_html(token, { ...item, content: text });
+    markdown.enhance(bubble);
+    update_message(window.conversation_id, index, {
+      content: text,
+      incomplete: false,
+    });
+
+    // Les sources vidéo ne sont ajoutées que si la réponse est la dernière du fil
+    if (links.length !== 0 && index === items.length - 1) {
+      await writeRAGConversation(links, text, language);
+    }
+  } catch (e) {
+    const interruption = get_interruption_kind(e);
 
-    window.scrollTo(0, 0);
+    text = stream_renderer.stop();
+    render_interrupted_answer(token, text, interruption);
+    update_message(window.conversation_id, index, {
+      content: text,
+      interruption: interruption,
+    });
+  } finally {
+    await remove_cancel_button();
+    prompt_lock = false;
   }
 };
 
@@ -560,8 +726,9 @@ function changeEggImageToGPTImage() {
 }
 
 async function writeNoRAGConversation(text, message, links) {
-  document.getElementById(`imanage_${window.token}`).innerHTML =
-    marked.parse(text) + actionsButtons;
+  const bubble = document.getElementById(`imanage_${window.token}`);
+  bubble.innerHTML = answer_html(window.token, { content: text });
+  markdown.enhance(bubble);
   const loadingStreamElement =
     document.getElementsByClassName("loading-stream")[0];
 
@@ -569,20 +736,357 @@ async function writeNoRAGConversation(text, message, links) {
     loadingStreamElement.parentNode.removeChild(loadingStreamElement);
   }
 
-  message_box.scrollTop = message_box.scrollHeight;
+  window.messageScroll.update();
   await remove_cancel_button();
   prompt_lock = false;
-  await load_conversations(20, 0);
-  window.scrollTo(0, 0);
 
-  add_message(window.conversation_id, "user", user_image, message);
+  add_message(window.conversation_id, "user", "user", message, {
+    id: window.token,
+  });
   if (links.length === 0) {
-    add_message(window.conversation_id, "assistant", gpt_image, text);
+    add_message(window.conversation_id, "assistant", "assistant", text, {
+      id: window.token,
+    });
   } else {
-    add_message(window.conversation_id, "assistant", imanage_image, text);
+    add_message(window.conversation_id, "assistant", "imanage", text, {
+      id: window.token,
+    });
   }
 }
 
+// Relance le même tour de conversation ; chaque réponse est conservée comme
+// variante de l'élément assistant
+const regenerate_answer = async (token) => {
+  if (prompt_lock) return;
+
+  const conversation = await read_conversation(window.conversation_id);
+  const items = conversation ? get_active_path(conversation.messages) : [];
+  const index = find_item_index(items, token, "assistant");
+  if (index < 1) return;
+
+  let question_index = index - 1;
+  while (question_index >= 0 && items[question_index].role !== "user") {
+    question_index--;
+  }
+  if (question_index < 0) return;
+
+  const item = items[index];
+  const bubble = document.getElementById(`imanage_${token}`);
+  const model = document.getElementById("model");
+  let text = "";
+  let links = [];
+
+  prompt_lock = true;
+  stop_generating.classList.remove(`stop_generating-hidden`);
+  bubble.innerHTML = loadingStream;
+  const stream_renderer = create_stream_renderer(bubble);
+
+  try {
+    const stream = await api_client.sendMessage(
+      items[question_index].content,
+      window.conversation_id,
+      {
+        model: model.options[model.selectedIndex]?.value,
+        messageId: token,
+        conversation: strip_tree(items.slice(0, question_index)),
+      }
+    );
+
+    for await (const chunk of stream) {
+      if (chunk.type === "done") break;
+
+      if (chunk.type === "sources") {
+        links = chunk.sources;
+      } else if (chunk.type === "content") {
+        stream_renderer.push(chunk.content);
+      }
+    }
+
+    text = await stream_renderer.finish();
+    if (text) {
+      const variants = item.variants || [{ content: item.content, image: item.image }];
+      variants.push({
+        content: text,
+        image: links.length === 0 ? "assistant" : "imanage",
+      });
+
+      Object.assign(item, {
+        variants: variants,
+        activeVariant: variants.length - 1,
+        content: text,
+        image: variants[variants.length - 1].image,
+      });
+      update_message(window.conversation_id, index, item);
+    }
+  } catch (e) {
+    if (e.name !== `AbortError`) {
+      console.error("Regenerate failed:", e);
+    }
+  } finally {
+    stream_renderer.stop();
+    render_answer(token, item);
+    await remove_cancel_button();
+    prompt_lock = false;
+  }
+};
+
+// Affiche la variante précédente (-1) ou suivante (+1) d'une réponse
+const show_variant = async (token, step) => {
+  if (prompt_lock) return;
+
+  const conversation = await read_conversation(window.conversation_id);
+  const items = conversation ? get_active_path(conversation.messages) : [];
+  const index = find_item_index(items, token, "assistant");
+  if (index < 0) return;
+
+  const item = items[index];
+  if (!item.variants) return;
+
+  const current = item.activeVariant ?? item.variants.length - 1;
+  const active = Math.min(Math.max(current + step, 0), item.variants.length - 1);
+  const variant = item.variants[active];
+
+  Object.assign(item, {
+    activeVariant: active,
+    content: variant.content,
+    image: variant.image,
+  });
+  update_message(window.conversation_id, index, item);
+  render_answer(token, item);
+};
+
+// Édition en place d'une question déjà posée
+const edit_message = async (token) => {
+  if (prompt_lock) return;
+
+  const conversation = await read_conversation(window.conversation_id);
+  const items = conversation ? get_active_path(conversation.messages) : [];
+  const item = items[find_item_index(items, token, "user")];
+  const text_div = document.querySelector(`#user_${token} .user-text`);
+  if (!item || !text_div) return;
+
+  text_div.innerHTML = `
+    <textarea class="edit-message-input" rows="3"></textarea>
+    <div class="edit-message-actions">
+      <button class="soft-shadow" onclick="cancel_edit('${token}')">Annuler</button>
+      <button class="soft-shadow" onclick="submit_edit('${token}')">Envoyer</button>
+    </div>`;
+
+  const textarea = text_div.querySelector(`textarea`);
+  textarea.value = item.content;
+  textarea.focus();
+};
+
+const cancel_edit = async (token) => {
+  const conversation = await read_conversation(window.conversation_id);
+  const items = get_active_path(conversation.messages);
+  const item = items[find_item_index(items, token, "user")];
+
+  document.querySelector(`#user_${token} .user-text`).innerHTML = format(
+    item.content
+  );
+};
+
+const submit_edit = async (token) => {
+  const textarea = document.querySelector(`#user_${token} .edit-message-input`);
+  const message = textarea ? textarea.value.trim() : "";
+
+  if (!message) return await cancel_edit(token);
+
+  await branch_conversation(token, message);
+};
+
+// Crée une nouvelle branche à partir de la question éditée : la suite
+// d'origine est conservée comme branche sœur
+const branch_conversation = async (token, message) => {
+  if (prompt_lock) return;
+
+  let branched = false;
+
+  await write_conversation(window.conversation_id, (conversation) => {
+    const items = get_active_path(conversation.messages);
+    const item = items[find_item_index(items, token, "user")];
+    if (!item || item.role !== "user") return false;
+
+    const { list, index, fork } = locate_item(conversation.messages, item);
+
+    if (index === 0 && fork) {
+      fork.branches.push([]);
+      fork.activeBranch = fork.branches.length - 1;
+    } else {
+      const tail = list.splice(index);
+      list.push({ role: "branch", branches: [tail, []], activeBranch: 1 });
+    }
+    index_conversation(conversation);
+    branched = true;
+  });
+  if (!branched) return;
+
+  await clear_conversation();
+  await load_conversation(window.conversation_id);
+  await ask_gpt(message);
+};
+
+// Affiche la branche précédente (-1) ou suivante (+1) à partir d'une question
+const switch_branch = async (token, step) => {
+  if (prompt_lock) return;
+
+  let switched = false;
+
+  await write_conversation(window.conversation_id, (conversation) => {
+    const items = get_active_path(conversation.messages);
+    const fork = find_fork(conversation.messages, items[find_item_index(items, token, "user")]);
+    if (!fork) return false;
+
+    fork.activeBranch = Math.min(
+      Math.max(fork.activeBranch + step, 0),
+      fork.branches.length - 1
+    );
+    index_conversation(conversation);
+    switched = true;
+  });
+  if (!switched) return;
+
+  await clear_conversation();
+  await load_conversation(window.conversation_id);
+};
+
+// ========== FEEDBACK SUR LES RÉPONSES ==========
+
+const get_path_item = async (token) => {
+  const conversation = await read_conversation(window.conversation_id);
+  const items = conversation ? get_active_path(conversation.messages) : [];
+  const index = find_item_index(items, token, "assistant");
+  return { items: items, index: index, item: items[index] };
+};
+
+// Un second clic sur le même avis l'annule ; un dislike ouvre le formulaire de motif
+const rate_answer = async (token, rating) => {
+  const { item } = await get_path_item(token);
+  if (!item) return;
+
+  close_feedback_form(token);
+
+  if (item.feedback && item.feedback.rating === rating) {
+    await save_feedback(token, null);
+  } else if (rating === "dislike") {
+    open_feedback_form(token);
+  } else {
+    await save_feedback(token, { rating: "like" });
+  }
+};
+
+const open_feedback_form = (token) => {
+  const actions = document.querySelector(`#imanage_${token} .actions`);
+  if (!actions) return;
+
+  const reasons = getConfig("feedback.reasons", {});
+  actions.insertAdjacentHTML(
+    "afterend",
+    `<div class="feedback-form" id="feedback_${token}">
+      <div class="feedback-form-title">Qu'est-ce qui n'allait pas ?</div>
+      <div class="feedback-reasons">
+        ${Object.entries(reasons)
+          .map(
+            ([key, label]) => `<label class="feedback-reason">
+          <input type="radio" name="reason_${token}" value="${key}" />
+          <span>${label}</span>
+        </label>`
+          )
+          .join("")}
+      </div>
+      <textarea class="feedback-comment" rows="2" placeholder="Commentaire (facultatif)"></textarea>
+      <div class="feedback-form-actions">
+        <button class="soft-shadow" onclick="close_feedback_form('${token}')">Annuler</button>
+        <button class="soft-shadow" onclick="submit_feedback('${token}')">Envoyer</button>
+      </div>
+    </div>`
+  );
+};
+
+const close_feedback_form = (token) => {
+  const form = document.getElementById(`feedback_${token}`);
+  if (form) form.remove();
+};
+
+const submit_feedback = async (token) => {
+  const form = document.getElementById(`feedback_${token}`);
+  if (!form) return;
+
+  const reason = form.querySelector(`input[name="reason_${token}"]:checked`);
+  const comment = form.querySelector(`.feedback-comment`).value.trim();
+  form.remove();
+
+  await save_feedback(token, {
+    rating: "dislike",
+    reason: reason ? reason.value : null,
+    comment: comment || null,
+  });
+};
+
+// Enregistre l'avis sur l'élément assistant puis l'envoie au backend
+const save_feedback = async (token, feedback) => {
+  const { items, index, item } = await get_path_item(token);
+  if (!item) return;
+
+  const model = document.getElementById("model");
+  const record = feedback
+    ? {
+        ...feedback,
+        modelName: model.options[model.selectedIndex]?.text || null,
+        createdAt: new Date().toISOString(),
+        synced: false,
+      }
+    : null;
+
+  update_message(window.conversation_id, index, { feedback: record });
+  update_feedback_buttons(token, record);
+
+  const question = items
+    .slice(0, index)
+    .reverse()
+    .find((previous) => previous.role === "user");
+
+  try {
+    await api_client.sendFeedback({
+      conversation_id: window.conversation_id,
+      message_id: token,
+      rating: record ? record.rating : null,
+      reason: record ? record.reason || null : null,
+      comment: record ? record.comment || null : null,
+      model: model.options[model.selectedIndex]?.value,
+      question: question ? question.content : null,
+      answer: item.content,
+      created_at: record ? record.createdAt : new Date().toISOString(),
+    });
+
+    if (record) {
+      update_message(window.conversation_id, index, {
+        feedback: { ...record, synced: true },
+      });
+    }
+  } catch (e) {
+    console.warn("Feedback not sent, kept locally:", e);
+  }
+};
+
+const update_feedback_buttons = (token, feedback) => {
+  const rating = feedback ? feedback.rating : null;
+  const bubble = document.getElementById(`imanage_${token}`);
+  if (!bubble) return;
+
+  bubble.querySelector(`.like-icon`)?.classList.toggle(`active`, rating === "like");
+  bubble.querySelector(`.dislike-icon`)?.classList.toggle(`active`, rating === "dislike");
+};
+
+const render_answer = (token, item) => {
+  const bubble = document.getElementById(`imanage_${token}`);
+  if (!bubble) return;
+
+  bubble.innerHTML = answer_html(token, item);
+  markdown.enhance(bubble);
+};
+
 // Fonction pour créer une bulle vidéo YouTube qui redirige vers la page de liens
 function createVideoSourceBubble(url, title, index, allVideoIds, allTitles) {
   const bubble = document.createElement('div');
@@ -595,9 +1099,9 @@ function createVideoSourceBubble(url, title, index, allVideoIds, allTitles) {
       <svg class="youtube-icon" viewBox="0 0 24 24" fill="currentColor">
         <path d="M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/>
       </svg>
-      <span>${title}</span>
+      <span>${escapeHtml(title)}</span>
     </div>
-    <p class="video-source-url">${url}</p>
+    <p class="video-source-url">${escapeHtml(url)}</p>
   `;
 
   // Ajouter l'événement de clic pour ouvrir la page de liens
@@ -614,10 +1118,6 @@ function createVideoSourceBubble(url, title, index, allVideoIds, allTitles) {
 async function writeRAGConversation(links, text, language) {
   responseContent = text;
 
-  document.querySelectorAll(`code`).forEach((el) => {
-    hljs.highlightElement(el);
-  });
-
   const video_ids = links.map((link) => getYouTubeID(link));
 
   const titles = await Promise.all(
@@ -638,15 +1138,15 @@ async function writeRAGConversation(links, text, language) {
   }
 
   // Ajouter le message avec les bulles vidéo
-  message_box.innerHTML += `
+  message_box.insertAdjacentHTML("beforeend", `
     <div class="message message-assistant">
       ${video_image}
       <div class="content ${class_last_message_assistant}">
         ${videoSourcesContainer.outerHTML}
       </div>
-    </div>`;
+    </div>`);
 
-  message_box.scrollTop = message_box.scrollHeight;
+  window.messageScroll.update();
 
   // Réattacher les événements de clic après l'ajout au DOM
   const addedBubbles = message_box.querySelectorAll('.video-source-bubble');
@@ -676,7 +1176,7 @@ async function writeRAGConversation(links, text, language) {
   add_message(
     window.conversation_id,
     "video_assistant",
-    video_image,
+    "video",
     links_and_language
   );
 }
@@ -699,20 +1199,9 @@ function getScrollY(msg) {
 }
 
 const clear_conversations = async () => {
-  const elements = box_conversations.childNodes;
-  let index = elements.length;
-
-  if (index > 0) {
-    while (index--) {
-      const element = elements[index];
-      if (
-        element.nodeType === Node.ELEMENT_NODE &&
-        element.tagName.toLowerCase() !== `button`
-      ) {
-        box_conversations.removeChild(element);
-      }
-    }
-  }
+  convo_list.innerHTML = ``;
+  sidebar_page.offset = 0;
+  sidebar_page.total = 0;
 };
 
 // Function to extract YouTube video ID
@@ -751,26 +1240,27 @@ const hide_option = async (conversation_id) => {
   not.style.display = "none";
 };
 
+// Suppression définitive, depuis la corbeille
 const delete_conversation = async (conversation_id) => {
-  localStorage.removeItem(`conversation:${conversation_id}`);
-
-  const conversation = document.getElementById(`convo-${conversation_id}`);
-  conversation.remove();
+  await enqueue_storage(() => storage_manager.deleteConversation(conversation_id));
+  search_index.removeConversation(conversation_id);
+  remove_conversation_entry(conversation_id);
 
   if (window.conversation_id == conversation_id) {
     await new_conversation();
   }
 
-  await load_conversations(20, 0, true);
+  load_more_conversations();
 };
 
-const set_conversation = async (conversation_id) => {
+// `focus_id` : identifiant DOM du message à afficher à la place du bas de la conversation
+const set_conversation = async (conversation_id, focus_id = null) => {
   history.pushState({}, null, `/chat/${conversation_id}`);
   window.conversation_id = conversation_id;
 
   await clear_conversation();
-  await load_conversation(conversation_id);
-  await load_conversations(20, 0, true);
+  await load_conversation(conversation_id, focus_id);
+  mark_active_conversation();
 };
 
 const new_conversation = async () => {
@@ -796,32 +1286,41 @@ const new_conversation = async () => {
     </div>
   `;
 
-  message_box.scrollTop = message_box.scrollHeight;
+  window.messageScroll.jumpToLatest({ smooth: false });
 
-  await load_conversations(20, 0, true);
+  mark_active_conversation();
 };
 
-const load_conversation = async (conversation_id) => {
-  let conversation = await JSON.parse(
-    localStorage.getItem(`conversation:${conversation_id}`)
-  );
+const load_conversation = async (conversation_id, focus_id = null) => {
+  const conversation = await read_conversation(conversation_id);
+  const items = conversation ? get_active_path(conversation.messages) : [];
 
-  conversation?.items.forEach((item) => {
+  items.forEach((item, index) => {
+    const item_id = item.id || `item-${index}`;
     const messageAlignmentClass =
       item.role === "user" ? "message-user" : "message-assistant";
-    const img = item.image;
-    if (item.role === "user" || item.role === "assistant") {
+    const img = avatar_html(item);
+    if (item.role === "assistant" && item.incomplete) {
+      message_box.innerHTML += `
+          <div class="message message-assistant">
+            ${img}
+            <div class="content" id="imanage_${item.id}">
+              ${item.content ? markdown.render(item.content) : ""}
+              ${getInterruptionNotice(item.interruption || "network")}
+              ${continueButton(item.id)}
+            </div>
+          </div>
+        `;
+    } else if (item.role === "user" || item.role === "assistant") {
       message_box.innerHTML += `
           <div class="message ${messageAlignmentClass}">
             ${img}
-            <div class="content">
+            <div class="content" id="${item.role === "assistant" ? "imanage" : "user"}_${item_id}">
               ${item.role === "assistant"
-          ? `<div class="assistant-content" style="word-wrap: break-word; max-width: 100%; overflow-x: auto;">${markdown.render(
-            item.content
-          )}</div>`
-          : item.content
+          ? answer_html(item_id, item)
+          : `<div class="user-text">${format(item.content)}</div>
+              ${userActions(item_id, find_fork(conversation.messages, item))}`
         }
-              ${item.role === "assistant" ? actionsButtons : ""}
             </div>
           </div>
         `;
@@ -841,9 +1340,9 @@ const load_conversation = async (conversation_id) => {
               <svg class="youtube-icon" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/>
               </svg>
-              <span>${titles[i]}</span>
+              <span>${escapeHtml(titles[i])}</span>
             </div>
-            <p class="video-source-url">${links[i]}</p>
+            <p class="video-source-url">${escapeHtml(links[i])}</p>
           </div>
         `;
       }
@@ -875,86 +1374,957 @@ const load_conversation = async (conversation_id) => {
     }
   });
 
-  document.querySelectorAll(`code`).forEach((el) => {
-    hljs.highlightElement(el);
-  });
+  markdown.enhance(message_box);
 
-  message_box.scrollTo({ top: message_box.scrollHeight, behavior: "smooth" });
+  if (focus_id && document.getElementById(focus_id)) {
+    focus_message(focus_id);
+    return;
+  }
 
-  setTimeout(() => {
-    message_box.scrollTop = message_box.scrollHeight;
-  }, 500);
-};
+  window.messageScroll.jumpToLatest();
 
-const get_conversation = async (conversation_id) => {
-  let conversation = await JSON.parse(
-    localStorage.getItem(`conversation:${conversation_id}`)
-  );
-  return conversation.items;
+  // Les images chargées ensuite allongent le fil
+  setTimeout(() => window.messageScroll.update(), 500);
 };
 
-const add_conversation = async (conversation_id, title) => {
-  if (localStorage.getItem(`conversation:${conversation_id}`) == null) {
-    localStorage.setItem(
-      `conversation:${conversation_id}`,
-      JSON.stringify({
-        id: conversation_id,
-        title: title,
-        items: [],
-      })
-    );
-  }
+// Fait défiler jusqu'au message et le met brièvement en évidence
+const focus_message = (focus_id) => {
+  const element = document.getElementById(focus_id);
+  if (!element) return;
+
+  element.scrollIntoView({ behavior: "smooth", block: "center" });
+  element.classList.add("search-focus");
+  setTimeout(() => element.classList.remove("search-focus"), 2000);
 };
 
-const add_message = async (conversation_id, role, image, content) => {
-  const conversation = JSON.parse(
-    localStorage.getItem(`conversation:${conversation_id}`)
+// La question et sa réponse partagent le même identifiant (user_ / imanage_ dans
+// le DOM) : le rôle dit lequel des deux est visé. Les éléments enregistrés avant
+// l'ajout des identifiants sont repérés par leur position
+const find_item_index = (items, token, role) =>
+  items.findIndex(
+    (item, index) => (item.id || `item-${index}`) === token && item.role === role
   );
 
-  conversation.items.push({
-    role: role,
-    image: image,
-    content: content,
-  });
+// ========== ARBRE DE CONVERSATION ==========
+// Éditer une question crée un nœud { role: "branch", branches, activeBranch }
+// en fin de liste : chaque branche est la suite de la conversation depuis
+// cette question. Le fil affiché et envoyé au backend est le chemin actif.
+
+const get_active_path = (items) => {
+  const path = [];
+  for (const item of items) {
+    if (item.role === "branch") {
+      path.push(...get_active_path(item.branches[item.activeBranch]));
+      break;
+    }
+    path.push(item);
+  }
+  return path;
+};
 
-  localStorage.setItem(
-    `conversation:${conversation_id}`,
-    JSON.stringify(conversation)
-  );
+// Liste dans laquelle les nouveaux messages sont ajoutés (fin du chemin actif)
+const get_active_list = (items) => {
+  const last = items[items.length - 1];
+  return last && last.role === "branch"
+    ? get_active_list(last.branches[last.activeBranch])
+    : items;
 };
 
-const load_conversations = async (limit, offset, loader) => {
-  let conversations = [];
-  for (let i = 0; i < localStorage.length; i++) {
-    if (localStorage.key(i).startsWith("conversation:")) {
-      let conversation = localStorage.getItem(localStorage.key(i));
-      conversations.push(JSON.parse(conversation));
+// Position d'un élément du chemin actif dans l'arbre
+const locate_item = (items, target, fork = null) => {
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    if (item === target) return { list: items, index: index, fork: fork };
+    if (item.role === "branch") {
+      return locate_item(item.branches[item.activeBranch], target, item);
     }
   }
+  return null;
+};
+
+// Nœud de branchement dont la branche active commence par cet élément
+const find_fork = (items, target) => {
+  const location = locate_item(items, target);
+  return location && location.index === 0 ? location.fork : null;
+};
+
+// Le backend ne reçoit que le contenu du chemin actif, sans les alternatives
+const strip_tree = (items) =>
+  items.map(({ branches, activeBranch, variants, activeVariant, ...item }) => item);
+
+// ========== PERSISTANCE ==========
+// Toutes les lectures et écritures passent par le StorageManager. Elles sont
+// mises en file : une mise à jour part toujours de la dernière version
+// enregistrée, même quand l'appelant n'attend pas la précédente.
+
+let storage_queue = Promise.resolve();
+
+const enqueue_storage = (task) => {
+  const run = storage_queue.then(task);
+  storage_queue = run.catch((e) => {
+    console.error("Storage error:", e);
+    if (e.name === "StorageQuotaError") show_storage_warning();
+  });
+  return run;
+};
+
+// Prévient l'utilisateur au lieu de perdre ses messages sans rien dire
+const show_storage_warning = () => {
+  if (message_box.querySelector(`.storage-warning`)) return;
+
+  message_box.insertAdjacentHTML(
+    "beforeend",
+    `<div class="storage-warning">
+      <i class="fa-regular fa-triangle-exclamation"></i>
+      <span>Espace de stockage plein : les derniers messages n'ont pas pu être enregistrés. Supprimez d'anciennes conversations pour libérer de la place.</span>
+    </div>`
+  );
+};
+
+const read_conversation = (conversation_id) =>
+  enqueue_storage(() => storage_manager.getConversation(conversation_id));
+
+// `mutate` modifie l'enregistrement en place ; retourner false annule l'écriture.
+// `options` est transmis à saveConversation ({ touch: false } pour les métadonnées)
+const write_conversation = (conversation_id, mutate, options) =>
+  enqueue_storage(async () => {
+    const conversation = await storage_manager.getConversation(conversation_id);
+    if (!conversation || mutate(conversation) === false) return;
+
+    const entry = await storage_manager.saveConversation(conversation_id, conversation, options);
+    update_conversation_entry(entry);
+    return entry;
+  });
+
+// ========== CHIFFREMENT DE L'HISTORIQUE ==========
+
+// La corbeille est purgée dès que l'historique est lisible
+const unlock_storage = async () => {
+  if (storage_manager.isLocked()) {
+    await window.vaultLockScreen.prompt(storage_manager);
+  }
+  start_auto_lock();
+
+  await enqueue_storage(() =>
+    storage_manager.purgeTrash(getConfig("storage.trashRetentionDays", 30))
+  );
+};
+
+const start_auto_lock = () => {
+  if (!storage_manager.isEncryptionEnabled()) {
+    window.vaultLockScreen.stopAutoLock();
+    return;
+  }
+
+  window.vaultLockScreen.startAutoLock({
+    minutes: getConfig("storage.autoLockMinutes", 15),
+    isBusy: () => prompt_lock,
+    onLock: lock_storage,
+  });
+};
 
+// Les écritures en attente passent avant l'oubli de la clé ; rien de déchiffré ne reste affiché
+const lock_storage = async () => {
+  await enqueue_storage(() => storage_manager.lock());
+  search_index.clear();
+  window.conversationSearch.reset();
+  conversation_folders = [];
+  render_folders();
+  await clear_conversation();
   await clear_conversations();
 
-  for (conversation of conversations) {
-    box_conversations.innerHTML += `
-    <div class="convo" id="convo-${conversation.id}">
-      <div class="left" onclick="set_conversation('${conversation.id}')">
+  await unlock_storage();
+  await build_search_index();
+  await load_folders();
+
+  await load_conversations(20, 0, true);
+  if (/\/chat\/.+/.test(window.location.href)) {
+    await load_conversation(window.conversation_id);
+  }
+};
+
+// Après un import, l'index de recherche, les dossiers et la liste sont reconstruits
+const import_conversations = () => {
+  window.openConversationImport(storage_manager, async () => {
+    await build_search_index();
+    await load_folders();
+    await load_conversations(20, 0, true);
+  });
+};
+
+const open_vault_settings = () => {
+  if (prompt_lock) return;
+  window.vaultLockScreen.openSettings(storage_manager, start_auto_lock);
+};
+
+const get_conversation = async (conversation_id) => {
+  const conversation = await read_conversation(conversation_id);
+  return strip_tree(get_active_path(conversation.messages));
+};
+
+const add_conversation = async (conversation_id, title) =>
+  enqueue_storage(async () => {
+    if (await storage_manager.getConversation(conversation_id)) return;
+
+    const model = document.getElementById("model");
+    const entry = await storage_manager.saveConversation(conversation_id, {
+      id: conversation_id,
+      title: title,
+      model: model.options[model.selectedIndex]?.text || null,
+      messages: [],
+    });
+    update_conversation_entry(entry, true);
+  });
+
+const add_message = async (conversation_id, role, image, content, extra = {}) =>
+  write_conversation(conversation_id, (conversation) => {
+    get_active_list(conversation.messages).push({
+      ...extra,
+      role: role,
+      image: image,
+      content: content,
+    });
+
+    const items = get_active_path(conversation.messages);
+    index_message(conversation, items[items.length - 1], items.length - 1);
+  });
+
+const update_message = async (conversation_id, index, changes) =>
+  write_conversation(conversation_id, (conversation) => {
+    const item = get_active_path(conversation.messages)[index];
+    Object.assign(item, changes);
+    index_message(conversation, item, index);
+  });
+
+// ========== LISTE DES CONVERSATIONS ==========
+// Triée par dernière activité et chargée par pages au défilement. `offset` est
+// le nombre d'entrées affichées ; une conversation modifiée est déplacée en
+// place sans reconstruire la liste.
+
+// `view` : "main", "archived" ou "trash" ; `folderId` undefined : tous les
+// dossiers ; `tags` : étiquettes exigées
+const sidebar_page = {
+  offset: 0,
+  total: 0,
+  loading: false,
+  request: 0,
+  view: "main",
+  folderId: undefined,
+  tags: [],
+};
+
+const conversation_groups = [
+  { key: "pinned", label: "Épinglées" },
+  { key: "today", label: "Aujourd'hui" },
+  { key: "yesterday", label: "Hier" },
+  { key: "week", label: "7 derniers jours" },
+  { key: "older", label: "Plus ancien" },
+];
+
+const get_conversation_group = (conversation) => {
+  if (conversation.pinned) return "pinned";
+
+  const timestamp = conversation.lastModified;
+  const day = new Date();
+  day.setHours(0, 0, 0, 0);
+  if (timestamp >= day.getTime()) return "today";
+
+  day.setDate(day.getDate() - 1);
+  if (timestamp >= day.getTime()) return "yesterday";
+
+  day.setDate(day.getDate() - 6);
+  if (timestamp >= day.getTime()) return "week";
+
+  return "older";
+};
+
+// Crée au besoin la section du groupe, à sa place dans l'ordre chronologique
+const get_group_element = (key) => {
+  let group = convo_list.querySelector(`.convo-group[data-group="${key}"]`);
+  if (group) return group;
+
+  const order = conversation_groups.findIndex((g) => g.key === key);
+  group = document.createElement("div");
+  group.className = "convo-group";
+  group.dataset.group = key;
+  group.innerHTML = `<div class="convo-group-title">${conversation_groups[order].label}</div>`;
+
+  const next = [...convo_list.children].find(
+    (element) => conversation_groups.findIndex((g) => g.key === element.dataset.group) > order
+  );
+  convo_list.insertBefore(group, next || null);
+  return group;
+};
+
+const render_conversation_entry = (conversation) => {
+  const group = get_group_element(get_conversation_group(conversation));
+  const element = document.createElement("div");
+
+  element.className = "convo";
+  element.id = `convo-${conversation.id}`;
+  element.dataset.lastModified = conversation.lastModified;
+  element.classList.toggle("active", conversation.id === window.conversation_id);
+  element.classList.toggle("pinned", conversation.pinned);
+  element.draggable = !conversation.deletedAt;
+
+  // Titre et identifiant viennent du stockage (import, synchronisation) : jamais insérés tels quels
+  const id = js_arg(conversation.id);
+
+  // Dans la corbeille : restaurer, ou supprimer définitivement après confirmation
+  const actions = conversation.deletedAt
+    ? `
+      <i onclick="restore_conversation(${id})" class="fa-regular fa-rotate-left convo-action" title="Restaurer"></i>
+      <i onclick="show_option(${id})" class="fa-regular fa-trash" id="conv-${escapeHtml(conversation.id)}" title="Supprimer définitivement"></i>
+      <i onclick="delete_conversation(${id})" class="fa-regular fa-check" id="yes-${escapeHtml(conversation.id)}" style="display:none;"></i>
+      <i onclick="hide_option(${id})" class="fa-regular fa-x" id="not-${escapeHtml(conversation.id)}" style="display:none;"></i>`
+    : `
+      <i onclick="rename_conversation(${id})" class="fa-regular fa-pen convo-action" title="Renommer"></i>
+      <i onclick="edit_conversation_tags(${id})" class="fa-regular fa-tag convo-action" title="Étiquettes"></i>
+      <i onclick="pin_conversation(${id}, ${!conversation.pinned})" class="fa-regular fa-thumbtack convo-action" title="${conversation.pinned ? "Désépingler" : "Épingler"}"></i>
+      <i onclick="archive_conversation(${id}, ${!conversation.archived})" class="fa-regular ${conversation.archived ? "fa-box-open" : "fa-box-archive"} convo-action" title="${conversation.archived ? "Désarchiver" : "Archiver"}"></i>
+      <i onclick="export_conversation(${id})" class="fa-regular fa-file-export convo-action" title="Exporter"></i>
+      <i onclick="trash_conversation(${id})" class="fa-regular fa-trash" title="Supprimer"></i>`;
+
+  element.innerHTML = `
+      <div class="left" onclick="set_conversation(${id})">
           <i class="fa-regular fa-comments"></i>
-          <span class="convo-title">${conversation.title}</span>
-      </div>
-      <i onclick="show_option('${conversation.id}')" class="fa-regular fa-trash" id="conv-${conversation.id}"></i>
-      <i onclick="delete_conversation('${conversation.id}')" class="fa-regular fa-check" id="yes-${conversation.id}" style="display:none;"></i>
-      <i onclick="hide_option('${conversation.id}')" class="fa-regular fa-x" id="not-${conversation.id}" style="display:none;"></i>
+          <span class="convo-title">${escapeHtml(conversation.title)}</span>
+          <span class="convo-tag-list"></span>
+      </div>${actions}
+  `;
+
+  conversation.tags.forEach((tag) => {
+    const chip = document.createElement("span");
+    chip.className = "convo-tag";
+    chip.textContent = `#${tag}`;
+    element.querySelector(".convo-tag-list").appendChild(chip);
+  });
+
+  // Glisser l'entrée sur un dossier l'y range (voir render_folders)
+  element.addEventListener("dragstart", (event) => {
+    event.dataTransfer.setData(conversation_drag_type, conversation.id);
+    event.dataTransfer.effectAllowed = "move";
+  });
+
+  const next = [...group.querySelectorAll(".convo")].find(
+    (convo) => Number(convo.dataset.lastModified) < conversation.lastModified
+  );
+  group.insertBefore(element, next || null);
+};
+
+// Retire l'entrée et sa section si elle devient vide ; renvoie false si elle n'était pas affichée
+const detach_conversation_entry = (conversation_id) => {
+  const element = document.getElementById(`convo-${conversation_id}`);
+  if (!element) return false;
+
+  const group = element.parentElement;
+  element.remove();
+  if (!group.querySelector(".convo")) group.remove();
+  return true;
+};
+
+// La conversation appartient-elle à la vue affichée (archives, corbeille, dossier, étiquettes) ?
+const in_sidebar_view = (conversation) =>
+  Boolean(conversation.deletedAt) === (sidebar_page.view === "trash") &&
+  (conversation.deletedAt || conversation.archived === (sidebar_page.view === "archived")) &&
+  (sidebar_page.folderId === undefined || conversation.folderId === sidebar_page.folderId) &&
+  sidebar_page.tags.every((tag) => conversation.tags.includes(tag));
+
+// Après une écriture : l'entrée est replacée selon sa date et ses indicateurs.
+// Une conversation pas encore chargée (ou `created`) décale la pagination d'un
+// cran, une conversation qui quitte la vue courante (archivage, dossier) la réduit.
+const update_conversation_entry = (conversation, created = false) => {
+  const visible = in_sidebar_view(conversation);
+
+  if (detach_conversation_entry(conversation.id)) {
+    if (!visible) {
+      sidebar_page.offset--;
+      sidebar_page.total--;
+    }
+  } else if (visible) {
+    sidebar_page.offset++;
+    if (created) sidebar_page.total++;
+  }
+
+  if (visible) render_conversation_entry(conversation);
+};
+
+const remove_conversation_entry = (conversation_id) => {
+  if (detach_conversation_entry(conversation_id)) {
+    sidebar_page.offset--;
+  }
+  sidebar_page.total = Math.max(sidebar_page.total - 1, sidebar_page.offset);
+};
+
+const mark_active_conversation = () => {
+  convo_list.querySelectorAll(".convo").forEach((element) => {
+    element.classList.toggle("active", element.id === `convo-${window.conversation_id}`);
+  });
+};
+
+// Charge `limit` conversations à partir de `offset` ; offset 0 recharge la liste
+const load_conversations = async (limit, offset, loader) => {
+  const request = ++sidebar_page.request;
+  sidebar_page.loading = true;
+  if (loader) spinner.style.display = "block";
+
+  try {
+    const page = await enqueue_storage(() =>
+      storage_manager.getConversationsPage(limit, offset, {
+        archived: sidebar_page.view === "archived",
+        deleted: sidebar_page.view === "trash",
+        folderId: sidebar_page.folderId,
+        tags: sidebar_page.tags,
+      })
+    );
+
+    // Un rechargement plus récent a pris le relais
+    if (request !== sidebar_page.request) return;
+
+    if (offset === 0) await clear_conversations();
+
+    page.conversations.forEach((conversation) => {
+      if (!document.getElementById(`convo-${conversation.id}`)) {
+        render_conversation_entry(conversation);
+      }
+    });
+    sidebar_page.offset = offset + page.conversations.length;
+    sidebar_page.total = page.total;
+  } finally {
+    if (request === sidebar_page.request) {
+      sidebar_page.loading = false;
+      spinner.style.display = "none";
+    }
+  }
+
+  load_more_conversations();
+};
+
+// Affiche la liste principale, les archives ou la corbeille ; chaque bouton
+// ramène à la liste principale quand sa vue est déjà affichée
+const set_sidebar_view = async (view) => {
+  sidebar_page.view = sidebar_page.view === view ? "main" : view;
+
+  document.querySelector("#archived-toggle span").textContent =
+    sidebar_page.view === "archived" ? "Retour aux conversations" : "Conversations archivées";
+  document.querySelector("#trash-toggle span").textContent =
+    sidebar_page.view === "trash" ? "Retour aux conversations" : "Corbeille";
+
+  const conversations = document.getElementById("conversations");
+  conversations.classList.toggle("archived-view", sidebar_page.view === "archived");
+  conversations.classList.toggle("trash-view", sidebar_page.view === "trash");
+
+  const retention = getConfig("storage.trashRetentionDays", 30);
+  document.getElementById("trash-retention").textContent = retention
+    ? `Les conversations sont supprimées définitivement après ${retention} jours dans la corbeille.`
+    : "Les conversations restent dans la corbeille jusqu'à ce qu'elle soit vidée.";
+
+  await load_conversations(20, 0, true);
+};
+
+const toggle_archived_view = () => set_sidebar_view("archived");
+
+const toggle_trash_view = () => set_sidebar_view("trash");
+
+// Place la conversation dans la corbeille, avec une notification pour annuler
+const trash_conversation = async (conversation_id) => {
+  const entry = await enqueue_storage(() => storage_manager.trashConversation(conversation_id));
+  if (!entry) return;
+
+  search_index.removeConversation(conversation_id);
+  update_conversation_entry(entry);
+
+  if (window.conversation_id == conversation_id) {
+    await new_conversation();
+  }
+  load_more_conversations();
+
+  window.toast.show(`« ${entry.title} » placée dans la corbeille`, {
+    actionLabel: "Annuler",
+    onAction: () => restore_conversation(conversation_id),
+  });
+};
+
+const restore_conversation = async (conversation_id) => {
+  const entry = await enqueue_storage(() => storage_manager.restoreConversation(conversation_id));
+  if (!entry) return;
+
+  update_conversation_entry(entry);
+  const conversation = await read_conversation(conversation_id);
+  if (conversation) index_conversation(conversation);
+  load_more_conversations();
+};
+
+const restore_conversations = async (conversation_ids) => {
+  for (const conversation_id of conversation_ids) {
+    await restore_conversation(conversation_id);
+  }
+};
+
+// Exporte la branche affichée (Markdown, HTML, impression, DOCX)
+const export_conversation = async (conversation_id) => {
+  const conversation = await read_conversation(conversation_id);
+  if (!conversation) return;
+
+  const model = document.getElementById("model");
+  window.conversationExportDialog.open({
+    conversation,
+    items: strip_tree(get_active_path(conversation.messages)),
+    model: model.options[model.selectedIndex]?.text,
+    render: (content) => markdown.render(content),
+  });
+};
+
+const empty_trash = async () => {
+  if (!confirm("Supprimer définitivement toutes les conversations de la corbeille ?")) return;
+
+  await enqueue_storage(() => storage_manager.emptyTrash());
+  if (sidebar_page.view === "trash") {
+    await load_conversations(20, 0, true);
+  }
+};
+
+// Remplace le titre par un champ : Entrée ou perte du focus enregistre, Échap annule
+const rename_conversation = (conversation_id) => {
+  // Les identifiants importés ou synchronisés ne sont pas toujours des sélecteurs CSS valides
+  const title = document
+    .getElementById(`convo-${conversation_id}`)
+    ?.querySelector(".convo-title");
+  if (!title || title.querySelector("input")) return;
+
+  const previous = title.textContent;
+  const input = document.createElement("input");
+  input.className = "convo-rename";
+  input.value = previous;
+  input.addEventListener("click", (event) => event.stopPropagation());
+
+  let done = false;
+  const finish = async (save) => {
+    if (done) return;
+    done = true;
+
+    const value = input.value.trim();
+    title.textContent = previous;
+    if (save && value && value !== previous) {
+      title.textContent = value;
+      await save_conversation_title(conversation_id, value);
+    }
+  };
+
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") finish(true);
+    if (event.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+
+  title.textContent = "";
+  title.appendChild(input);
+  input.focus();
+  input.select();
+};
+
+const save_conversation_title = async (conversation_id, title) => {
+  const entry = await write_conversation(
+    conversation_id,
+    (conversation) => {
+      conversation.title = title;
+      conversation.titleLocked = true;
+    },
+    { touch: false }
+  );
+  if (entry) search_index.updateConversation(conversation_id, entry);
+};
+
+// Titre définitif après la première réponse : proposé par le backend, sinon
+// heuristique locale. Un titre renommé à la main n'est jamais remplacé.
+const generate_conversation_title = async (conversation_id, question, answer) => {
+  const conversation = await read_conversation(conversation_id);
+  if (!conversation || conversation.titleGenerated || conversation.titleLocked) return;
+
+  let title = "";
+  try {
+    title = cleanTitle(
+      await api_client.generateTitle({
+        conversation_id: conversation_id,
+        question: question,
+        answer: answer,
+      })
+    );
+  } catch (e) {
+    console.warn("Title generation failed, using local title:", e);
+  }
+
+  const entry = await write_conversation(
+    conversation_id,
+    (conversation) => {
+      if (conversation.titleLocked) return false;
+      conversation.title = title || generateLocalTitle(question);
+      conversation.titleGenerated = true;
+    },
+    { touch: false }
+  );
+  if (entry) search_index.updateConversation(conversation_id, entry);
+};
+
+const pin_conversation = async (conversation_id, pinned) => {
+  await write_conversation(
+    conversation_id,
+    (conversation) => {
+      conversation.pinned = pinned;
+    },
+    { touch: false }
+  );
+};
+
+// Une conversation archivée n'est plus épinglée
+const archive_conversation = async (conversation_id, archived) => {
+  await write_conversation(
+    conversation_id,
+    (conversation) => {
+      conversation.archived = archived;
+      if (archived) conversation.pinned = false;
+    },
+    { touch: false }
+  );
+  load_more_conversations();
+};
+
+// ========== DOSSIERS ET ÉTIQUETTES ==========
+// Les dossiers regroupent les conversations par dossier client, les étiquettes
+// sont libres. Le dossier et les étiquettes sélectionnés filtrent la liste.
+
+let conversation_folders = [];
+const conversation_drag_type = "application/x-nog-conversation";
+
+// Une étiquette ne garde que lettres, chiffres, tirets et soulignés
+const normalize_tag = (tag) =>
+  tag
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/[^\p{L}\p{N}_-]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+
+const load_folders = async () => {
+  try {
+    conversation_folders = await enqueue_storage(() => storage_manager.getFolders());
+  } catch (e) {
+    conversation_folders = [];
+  }
+
+  if (!conversation_folders.some((folder) => folder.id === sidebar_page.folderId)) {
+    sidebar_page.folderId = undefined;
+  }
+
+  render_folders();
+  await refresh_tag_filters();
+};
+
+const render_folders = () => {
+  const container = document.getElementById("convo-folders");
+  container.innerHTML = `
+    <div class="convo-folders-header">
+      <span>Dossiers</span>
+      <i class="fa-regular fa-folder-plus" onclick="create_folder()" title="Nouveau dossier"></i>
     </div>
+  `;
+
+  [{ id: undefined, name: "Toutes les conversations" }, ...conversation_folders].forEach((folder) => {
+    const row = document.createElement("div");
+    row.className = "convo-folder";
+    row.classList.toggle("active", folder.id === sidebar_page.folderId);
+    row.innerHTML = `
+      <i class="fa-regular ${folder.id ? "fa-folder" : "fa-inbox"}"></i>
+      <span class="convo-folder-name"></span>
+      ${folder.id
+        ? `<i class="fa-regular fa-pen convo-action" data-action="rename" title="Renommer"></i>
+           <i class="fa-regular fa-trash convo-action" data-action="delete" title="Supprimer le dossier"></i>`
+        : ""}
     `;
+    row.querySelector(".convo-folder-name").textContent = folder.name;
+
+    row.addEventListener("click", (event) => {
+      const action = event.target.dataset.action;
+      if (action === "rename") rename_folder(folder.id);
+      else if (action === "delete") delete_folder(folder.id);
+      else select_folder(folder.id);
+    });
+
+    // Déposée sur « Toutes les conversations », la conversation sort de son dossier
+    row.addEventListener("dragover", (event) => {
+      if (!event.dataTransfer.types.includes(conversation_drag_type)) return;
+      event.preventDefault();
+      row.classList.add("drop-target");
+    });
+    row.addEventListener("dragleave", () => row.classList.remove("drop-target"));
+    row.addEventListener("drop", (event) => {
+      event.preventDefault();
+      row.classList.remove("drop-target");
+      move_to_folder(event.dataTransfer.getData(conversation_drag_type), folder.id || null);
+    });
+
+    container.appendChild(row);
+  });
+
+  const tags = document.createElement("div");
+  tags.className = "convo-tag-filters";
+  container.appendChild(tags);
+};
+
+// Étiquettes présentes dans l'historique, proposées comme filtres
+const refresh_tag_filters = async () => {
+  const container = document.querySelector("#convo-folders .convo-tag-filters");
+  if (!container) return;
+
+  let conversations = [];
+  try {
+    conversations = await enqueue_storage(() => storage_manager.getConversations());
+  } catch (e) {
+    return;
   }
 
-  document.querySelectorAll(`code`).forEach((el) => {
-    hljs.highlightElement(el);
+  const tags = [...new Set(conversations.flatMap((conversation) => conversation.tags || []))].sort();
+  sidebar_page.tags = sidebar_page.tags.filter((tag) => tags.includes(tag));
+
+  container.innerHTML = "";
+  tags.forEach((tag) => {
+    const chip = document.createElement("span");
+    chip.className = "convo-tag convo-tag-filter";
+    chip.classList.toggle("active", sidebar_page.tags.includes(tag));
+    chip.textContent = `#${tag}`;
+    chip.addEventListener("click", () => toggle_tag_filter(tag));
+    container.appendChild(chip);
   });
 };
 
+const select_folder = async (folder_id) => {
+  sidebar_page.folderId = folder_id;
+  render_folders();
+  await refresh_tag_filters();
+  await load_conversations(20, 0, true);
+};
+
+const toggle_tag_filter = async (tag) => {
+  sidebar_page.tags = sidebar_page.tags.includes(tag)
+    ? sidebar_page.tags.filter((selected) => selected !== tag)
+    : [...sidebar_page.tags, tag];
+
+  document.querySelectorAll("#convo-folders .convo-tag-filter").forEach((chip) => {
+    chip.classList.toggle("active", sidebar_page.tags.includes(chip.textContent.substring(1)));
+  });
+  await load_conversations(20, 0, true);
+};
+
+const create_folder = async () => {
+  const name = (prompt("Nom du dossier") || "").trim();
+  if (!name) return;
+
+  await enqueue_storage(() => storage_manager.createFolder(name));
+  await load_folders();
+};
+
+const rename_folder = async (folder_id) => {
+  const folder = conversation_folders.find((f) => f.id === folder_id);
+  const name = (prompt("Nom du dossier", folder ? folder.name : "") || "").trim();
+  if (!folder || !name || name === folder.name) return;
+
+  await enqueue_storage(() => storage_manager.renameFolder(folder_id, name));
+  await load_folders();
+};
+
+// Les conversations du dossier sont conservées et retournent dans la liste principale
+const delete_folder = async (folder_id) => {
+  const folder = conversation_folders.find((f) => f.id === folder_id);
+  if (!folder || !confirm(`Supprimer le dossier « ${folder.name} » ? Ses conversations sont conservées.`)) {
+    return;
+  }
+
+  await enqueue_storage(() => storage_manager.deleteFolder(folder_id));
+  await load_folders();
+  await load_conversations(20, 0, true);
+};
+
+const move_to_folder = async (conversation_id, folder_id) => {
+  if (!conversation_id) return;
+
+  await write_conversation(
+    conversation_id,
+    (conversation) => {
+      if ((conversation.folderId || null) === folder_id) return false;
+      conversation.folderId = folder_id;
+    },
+    { touch: false }
+  );
+  load_more_conversations();
+};
+
+const edit_conversation_tags = async (conversation_id) => {
+  const conversation = await read_conversation(conversation_id);
+  if (!conversation) return;
+
+  const input = prompt(
+    "Étiquettes, séparées par des virgules",
+    (conversation.tags || []).join(", ")
+  );
+  if (input === null) return;
+
+  const tags = [...new Set(input.split(",").map(normalize_tag).filter(Boolean))];
+
+  await write_conversation(
+    conversation_id,
+    (conversation) => {
+      conversation.tags = tags;
+    },
+    { touch: false }
+  );
+  await refresh_tag_filters();
+  load_more_conversations();
+};
+
+// Défilement infini : page suivante quand le bas de la barre latérale approche
+// (ou tant que la liste ne la remplit pas)
+const load_more_conversations = () => {
+  if (sidebar_page.loading || sidebar_page.offset >= sidebar_page.total) return;
+
+  const sidebar = document.getElementById("conversations");
+  if (sidebar.scrollTop + sidebar.clientHeight >= sidebar.scrollHeight - 200) {
+    load_conversations(20, sidebar_page.offset, true);
+  }
+};
+
+// ========== SYNCHRONISATION ENTRE APPAREILS ==========
+// Le SyncManager écrit par la file de stockage ; les conversations reçues sont
+// replacées dans la barre latérale et l'index, la conversation ouverte est
+// rechargée si aucune réponse n'est en cours.
+
+let sync_manager = null;
+
+const start_sync = async () => {
+  if (!getConfig("sync.enabled", false)) return;
+
+  if (!sync_manager) {
+    sync_manager = new SyncManager(storage_manager, api_client, {
+      enqueue: enqueue_storage,
+      onStatus: render_sync_status,
+      onApplied: apply_synced_conversations,
+      intervalSeconds: getConfig("sync.intervalSeconds", 60),
+      debounceMs: getConfig("sync.debounceMs", 2000),
+    });
+  }
+  await sync_manager.start();
+};
+
+const sync_now = async () => {
+  if (!sync_manager) return;
+  sync_manager.clearConflicts();
+  await sync_manager.sync();
+};
+
+const apply_synced_conversations = async (conversation_ids) => {
+  for (const conversation_id of conversation_ids) {
+    const conversation = await read_conversation(conversation_id);
+
+    if (!conversation) {
+      search_index.removeConversation(conversation_id);
+      remove_conversation_entry(conversation_id);
+      continue;
+    }
+
+    update_conversation_entry(storage_manager.toListEntry(conversation));
+    if (conversation.deletedAt) {
+      search_index.removeConversation(conversation_id);
+    } else {
+      index_conversation(conversation);
+    }
+  }
+  load_more_conversations();
+
+  if (conversation_ids.includes(window.conversation_id) && !prompt_lock) {
+    const current = await read_conversation(window.conversation_id);
+    if (!current || current.deletedAt) {
+      await new_conversation();
+    } else {
+      await clear_conversation();
+      await load_conversation(window.conversation_id);
+    }
+  }
+};
+
+const sync_status_labels = {
+  idle: { icon: "fa-cloud", text: "Synchronisation" },
+  syncing: { icon: "fa-arrows-rotate fa-spin", text: "Synchronisation…" },
+  synced: { icon: "fa-cloud-check", text: "Synchronisé" },
+  offline: { icon: "fa-cloud-slash", text: "Hors ligne" },
+  error: { icon: "fa-triangle-exclamation", text: "Échec de la synchronisation" },
+  unavailable: { icon: "fa-lock", text: "Synchronisation indisponible (historique chiffré)" },
+};
+
+const render_sync_status = (status) => {
+  const element = document.getElementById("sync-status");
+  const label = sync_status_labels[status.state] || sync_status_labels.idle;
+  const details = [label.text];
+
+  if (status.pending > 0) details.push(`${status.pending} modification(s) en attente`);
+  if (status.conflicts > 0) details.push(`${status.conflicts} conflit(s), copie conservée`);
+
+  element.hidden = false;
+  element.className = `sync-status ${status.state}${status.conflicts > 0 ? " conflicts" : ""}`;
+  element.querySelector("i").className = `fa-regular ${label.icon}`;
+  element.querySelector("span").textContent = details.join(" · ");
+  element.title = status.error
+    ? status.error
+    : status.lastSync
+      ? `Dernière synchronisation : ${new Date(status.lastSync).toLocaleTimeString()}`
+      : "";
+};
+
+// ========== RECHERCHE DANS L'HISTORIQUE ==========
+// L'index suit le fil affiché : les messages sont identifiés comme dans le DOM
+// (`user_${id}` / `imanage_${id}`), une question et sa réponse partageant l'id.
+
+const index_message = (conversation, item, index) => {
+  search_index.addMessage(
+    conversation.id,
+    { ...item, id: item.id || `item-${index}` },
+    { title: conversation.title }
+  );
+};
+
+const index_conversation = (conversation) => {
+  search_index.indexConversation(
+    conversation.id,
+    get_active_path(conversation.messages).map((item, index) => ({
+      ...item,
+      id: item.id || `item-${index}`,
+    })),
+    { title: conversation.title, lastModified: conversation.lastModified }
+  );
+};
+
+const build_search_index = async () => {
+  search_index.clear();
+
+  await enqueue_storage(async () => {
+    for (const entry of await storage_manager.getConversations()) {
+      if (entry.deletedAt) continue;
+      const conversation = await storage_manager.getConversation(entry.id);
+      if (conversation) index_conversation(conversation);
+    }
+  });
+};
+
+const open_search_result = async (conversation_id, message_id, role) => {
+  const focus_id = `${role === "user" ? "user" : "imanage"}_${message_id}`;
+
+  if (window.conversation_id === conversation_id && document.getElementById(focus_id)) {
+    focus_message(focus_id);
+  } else {
+    await set_conversation(conversation_id, focus_id);
+  }
+};
+
 document.getElementById(`cancelButton`).addEventListener(`click`, async () => {
-  window.controller.abort();
+  api_client.abortCurrentRequest();
 });
 
 function h2a(str1) {
@@ -1093,20 +2463,40 @@ window.addEventListener('resize', () => {
 window.onload = async () => {
   load_settings_localstorage();
   initSidebarToggle();
+  window.messageScroll.init(message_box, document.querySelector(".user-input-container"), {
+    autoScroll: getConfig("features.autoScroll", true),
+  });
+  if (getConfig("markdown.citations", true)) {
+    window.citationCard.init();
+  }
 
-  conversations = 0;
-  for (let i = 0; i < localStorage.length; i++) {
-    if (localStorage.key(i).startsWith("conversation:")) {
-      conversations += 1;
-    }
+  // Migre au besoin les conversations enregistrées dans un ancien format
+  try {
+    await enqueue_storage(() => storage_manager.initialize());
+  } catch (e) {
+    console.error("Storage initialization failed:", e);
   }
 
-  if (conversations == 0) localStorage.clear();
+  // Historique chiffré : rien n'est chargé avant la saisie de la phrase secrète
+  await unlock_storage();
+
+  await load_folders();
+
+  window.conversationSearch.init(document.getElementById("conversation-search"), {
+    search: (query) => search_index.search(query),
+    onSelect: (hit) => open_search_result(hit.conversationId, hit.messageId, hit.role),
+  });
+  build_search_index();
+  start_sync();
 
   await setTimeout(() => {
     load_conversations(20, 0);
   }, 1);
 
+  document
+    .getElementById("conversations")
+    .addEventListener("scroll", load_more_conversations, { passive: true });
+
   if (!window.location.href.endsWith(`#`)) {
     if (/\/chat\/.+/.test(window.location.href)) {
       await load_conversation(window.conversation_id);
@@ -1194,9 +2584,9 @@ function showAgentSuggestions(query, cursorPosition) {
   let suggestionsHTML = '<div class="agent-suggestions">';
   filtered.forEach(agent => {
     suggestionsHTML += `
-      <div class="agent-suggestion" onclick="insertAgent('${agent.id}')">
-        <span class="agent-suggestion-icon">${agent.icon}</span>
-        <span class="agent-suggestion-title">${agent.title}</span>
+      <div class="agent-suggestion" onclick="insertAgent(${js_arg(agent.id)})">
+        <span class="agent-suggestion-icon">${sanitizeHtml(agent.icon)}</span>
+        <span class="agent-suggestion-title">${escapeHtml(agent.title)}</span>
       </div>
     `;
   });
@@ -1312,8 +2702,6 @@ document.onload = setTheme();
 
 // AGENTS
 
-hljs.addPlugin(new CopyButtonPlugin());
-
 // Données des agents
 const agentsData = { 
   "contractAnalysis": { 
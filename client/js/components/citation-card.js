@@ -0,0 +1,171 @@
+/* ========== FICHE DES CITATIONS JURIDIQUES ========== */
+
+// Type de référence, d'après la classe posée par le rendu Markdown (citationsPlugin)
+const CITATION_KINDS = {
+  'citation-statute': 'Article de loi (Suisse)',
+  'citation-leadingCase': 'Arrêt du Tribunal fédéral',
+  'citation-frenchCode': 'Article de code (France)',
+  'citation-celex': "Droit de l'Union européenne"
+};
+
+// Délais (ms) avant d'afficher la fiche et avant de la fermer, le temps d'y passer la souris
+const SHOW_DELAY = 250;
+const HIDE_DELAY = 200;
+
+class CitationCard {
+  constructor() {
+    this.card = null;
+    this.chip = null;
+    this.showTimer = null;
+    this.hideTimer = null;
+  }
+
+  /**
+   * Affiche une fiche au survol ou au focus de chaque citation des réponses,
+   * y compris celles ajoutées plus tard (délégation sur le document)
+   */
+  init() {
+    if (this.card) return;
+
+    this.card = document.createElement('div');
+    this.card.className = 'citation-card soft-shadow';
+    this.card.setAttribute('role', 'tooltip');
+    this.card.hidden = true;
+    this.card.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+    this.card.addEventListener('mouseleave', () => this.scheduleHide());
+    document.body.appendChild(this.card);
+
+    document.addEventListener('mouseover', (event) => {
+      const chip = event.target.closest?.('.content a.citation');
+      if (chip) this.scheduleShow(chip);
+    });
+    document.addEventListener('mouseout', (event) => {
+      const chip = event.target.closest?.('.content a.citation');
+      if (chip && !chip.contains(event.relatedTarget)) this.scheduleHide();
+    });
+    document.addEventListener('focusin', (event) => {
+      const chip = event.target.closest?.('.content a.citation');
+      if (chip) this.show(chip);
+    });
+    document.addEventListener('focusout', (event) => {
+      if (event.target.closest?.('.content a.citation')) this.scheduleHide();
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.hide();
+    });
+    // La fiche est placée sur l'écran : elle ne suivrait pas la liste qui défile
+    document.addEventListener('scroll', () => this.hide(), { capture: true, passive: true });
+  }
+
+  scheduleShow(chip) {
+    clearTimeout(this.hideTimer);
+    clearTimeout(this.showTimer);
+    if (this.chip === chip && !this.card.hidden) return;
+    this.showTimer = setTimeout(() => this.show(chip), SHOW_DELAY);
+  }
+
+  scheduleHide() {
+    clearTimeout(this.showTimer);
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.hide(), HIDE_DELAY);
+  }
+
+  show(chip) {
+    clearTimeout(this.hideTimer);
+
+    // La description passe du title (bulle native) à la fiche
+    if (chip.hasAttribute('title')) {
+      chip.dataset.description = chip.getAttribute('title');
+      chip.removeAttribute('title');
+    }
+
+    const kind = Object.keys(CITATION_KINDS).find(name => chip.classList.contains(name));
+    const reference = chip.textContent.trim();
+    const href = chip.getAttribute('href');
+
+    this.card.innerHTML = '';
+
+    const label = document.createElement('div');
+    label.className = 'citation-card-kind';
+    label.textContent = kind ? CITATION_KINDS[kind] : 'Référence';
+    this.card.appendChild(label);
+
+    const title = document.createElement('div');
+    title.className = 'citation-card-reference';
+    title.textContent = reference;
+    this.card.appendChild(title);
+
+    if (chip.dataset.description) {
+      const description = document.createElement('p');
+      description.className = 'citation-card-description';
+      description.textContent = chip.dataset.description;
+      this.card.appendChild(description);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'citation-card-actions';
+
+    if (href) {
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = `Ouvrir sur ${new URL(href, location.href).hostname.replace(/^www\./, '')}`;
+      actions.appendChild(link);
+    }
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.textContent = 'Copier la référence';
+    copy.addEventListener('click', async () => {
+      if (!navigator.clipboard) return;
+      await navigator.clipboard.writeText(reference);
+      copy.textContent = 'Copiée';
+    });
+    actions.appendChild(copy);
+    this.card.appendChild(actions);
+
+    this.chip = chip;
+    chip.setAttribute('aria-describedby', 'citation-card');
+    this.card.id = 'citation-card';
+    this.card.hidden = false;
+    this.position();
+  }
+
+  /**
+   * Sous la citation, ou au-dessus si la place manque en bas de l'écran
+   */
+  position() {
+    const rect = this.chip.getBoundingClientRect();
+    const width = this.card.offsetWidth;
+    const height = this.card.offsetHeight;
+    const left = Math.min(Math.max(8, rect.left), window.innerWidth - width - 8);
+    const below = rect.bottom + 6;
+    const top = below + height > window.innerHeight - 8 ? rect.top - height - 6 : below;
+
+    this.card.style.left = `${left}px`;
+    this.card.style.top = `${Math.max(8, top)}px`;
+  }
+
+  hide() {
+    clearTimeout(this.showTimer);
+    clearTimeout(this.hideTimer);
+    if (!this.card || this.card.hidden) return;
+
+    this.card.hidden = true;
+    this.chip?.removeAttribute('aria-describedby');
+    this.chip = null;
+  }
+}
+
+// Initialiser la fiche des citations et l'exposer globalement
+if (typeof window !== 'undefined') {
+  if (!window.citationCard) {
+    window.citationCard = new CitationCard();
+  }
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationCard;
+}
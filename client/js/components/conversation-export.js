@@ -0,0 +1,140 @@
+/* ========== EXPORT D'UNE CONVERSATION ========== */
+
+class ConversationExportDialog {
+  constructor() {
+    this.dialog = null;
+    this.source = null;
+  }
+
+  /**
+   * Propose les formats d'export ; `source` : { conversation, items (chemin affiché),
+   * model (modèle sélectionné), render (Markdown vers HTML) }
+   */
+  open(source) {
+    if (this.dialog) return;
+
+    this.source = source;
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'conversation-export-overlay';
+    this.dialog.innerHTML = `
+      <div class="conversation-export-dialog" role="dialog" aria-labelledby="conversation-export-title">
+        <h2 id="conversation-export-title">Exporter la conversation</h2>
+        <p class="conversation-export-hint"></p>
+        <div class="conversation-export-formats">
+          <button class="soft-shadow" data-action="markdown"><i class="fa-regular fa-file-lines"></i> Markdown</button>
+          <button class="soft-shadow" data-action="html"><i class="fa-regular fa-file-code"></i> HTML</button>
+          <button class="soft-shadow" data-action="print"><i class="fa-regular fa-print"></i> Imprimer / PDF</button>
+          <button class="soft-shadow" data-action="docx"><i class="fa-regular fa-file-word"></i> Word (DOCX)</button>
+        </div>
+        <div class="conversation-export-status"></div>
+        <div class="conversation-export-actions">
+          <button class="soft-shadow" data-action="cancel">Fermer</button>
+        </div>
+      </div>
+    `;
+    this.dialog.querySelector('.conversation-export-hint').textContent =
+      `« ${source.conversation.title || 'Sans titre'} » : questions, réponses et sources vidéo de la branche affichée.`;
+
+    this.dialog.addEventListener('click', (event) => {
+      if (event.target === this.dialog) {
+        this.close();
+        return;
+      }
+
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'cancel') {
+        this.close();
+      } else if (action) {
+        this.export(action);
+      }
+    });
+
+    document.body.appendChild(this.dialog);
+  }
+
+  close() {
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+      this.source = null;
+    }
+  }
+
+  async export(format) {
+    const status = this.dialog.querySelector('.conversation-export-status');
+    const { conversation, items, model } = this.source;
+    const formats = window.ConversationExport;
+    const filename = formats.getExportFilename(conversation);
+    const options = { model, render: (content) => this.render(content) };
+
+    try {
+      if (format === 'markdown') {
+        this.download(formats.conversationToMarkdown(conversation, items, options), `${filename}.md`, 'text/markdown;charset=utf-8');
+      } else if (format === 'html') {
+        this.download(formats.conversationToHtml(conversation, items, options), `${filename}.html`, 'text/html;charset=utf-8');
+      } else if (format === 'docx') {
+        this.download(formats.conversationToDocx(conversation, items, options), `${filename}.docx`);
+      } else if (format === 'print') {
+        // Vue imprimable : « Enregistrer au format PDF » dans la boîte d'impression
+        const view = window.open('', '_blank');
+        if (!view) {
+          status.textContent = "La fenêtre d'impression a été bloquée par le navigateur.";
+          return;
+        }
+        view.document.write(formats.conversationToHtml(conversation, items, { ...options, print: true }));
+        view.document.close();
+      }
+      this.close();
+
+    } catch (error) {
+      console.error('❌ Export de la conversation impossible:', error);
+      status.textContent = "L'export a échoué, veuillez réessayer.";
+    }
+  }
+
+  /**
+   * Markdown vers HTML avec la même coloration que le chat, sans les boutons
+   * de copie ajoutés par le plugin highlight.js
+   */
+  render(content) {
+    const container = document.createElement('div');
+    container.innerHTML = this.source.render(content);
+
+    container.querySelectorAll('pre code').forEach((code) => {
+      const language = [...code.classList].find((name) => name.startsWith('language-'))?.substring(9);
+      const result = language && hljs.getLanguage(language)
+        ? hljs.highlight(code.textContent, { language })
+        : hljs.highlightAuto(code.textContent);
+
+      code.innerHTML = result.value;
+      code.classList.add('hljs');
+    });
+
+    return container.innerHTML;
+  }
+
+  download(content, filename, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Initialiser le dialogue et l'exposer globalement
+if (typeof window !== 'undefined') {
+  if (!window.conversationExportDialog) {
+    window.conversationExportDialog = new ConversationExportDialog();
+  }
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationExportDialog;
+}
@@ -0,0 +1,262 @@
+/* ========== IMPORT DE CONVERSATIONS DEPUIS UNE SAUVEGARDE ========== */
+
+const IMPORT_STATUS_LABELS = {
+  new: 'Nouvelle',
+  conflict: 'Déjà présente',
+  invalid: 'Invalide'
+};
+
+const IMPORT_RESOLUTIONS = [
+  { value: 'keep-both', label: 'Garder les deux' },
+  { value: 'overwrite', label: 'Remplacer' },
+  { value: 'skip', label: 'Ignorer' }
+];
+
+class ConversationImportDialog {
+  constructor() {
+    this.dialog = null;
+    this.storage = null;
+    this.onImported = null;
+    this.data = null;
+    this.preview = null;
+  }
+
+  /**
+   * `onImported(report)` est appelé après un import pour recharger la barre latérale
+   */
+  open(storage, onImported = () => {}) {
+    if (this.dialog) return;
+
+    this.storage = storage;
+    this.onImported = onImported;
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'conversation-import-overlay';
+    this.dialog.innerHTML = `
+      <div class="conversation-import-dialog" role="dialog" aria-labelledby="conversation-import-title">
+        <h2 id="conversation-import-title">Importer des conversations</h2>
+        <p class="conversation-import-hint">Sauvegarde exportée depuis nOg (JSON, chiffrée ou non) ou copie brute des clés « conversation: » d'un ancien navigateur.</p>
+        <input type="file" name="file" accept=".json,application/json" />
+        <div class="conversation-import-passphrase" hidden>
+          <input type="password" name="passphrase" placeholder="Phrase secrète de la sauvegarde" autocomplete="off" />
+          <button class="soft-shadow" data-action="unlock">Déchiffrer</button>
+        </div>
+        <div class="conversation-import-preview"></div>
+        <div class="conversation-import-status"></div>
+        <div class="conversation-import-actions">
+          <button class="soft-shadow" data-action="cancel">Annuler</button>
+          <button class="soft-shadow" data-action="import" disabled>Importer</button>
+        </div>
+      </div>
+    `;
+
+    this.dialog.addEventListener('click', (event) => {
+      if (event.target === this.dialog) {
+        this.close();
+        return;
+      }
+
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'cancel') {
+        this.close();
+      } else if (action === 'unlock') {
+        this.loadPreview();
+      } else if (action === 'import') {
+        this.import();
+      }
+    });
+
+    this.dialog.querySelector('[name="file"]').addEventListener('change', (event) => {
+      this.readFile(event.target.files[0]);
+    });
+
+    this.dialog.addEventListener('change', (event) => {
+      if (event.target.name === 'resolve-all') {
+        this.dialog.querySelectorAll('select[data-id]').forEach((select) => {
+          select.value = event.target.value;
+        });
+      }
+    });
+
+    document.body.appendChild(this.dialog);
+  }
+
+  close() {
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+      this.data = null;
+      this.preview = null;
+    }
+  }
+
+  setStatus(message) {
+    this.dialog.querySelector('.conversation-import-status').textContent = message;
+  }
+
+  async readFile(file) {
+    this.data = null;
+    this.preview = null;
+    this.dialog.querySelector('.conversation-import-preview').innerHTML = '';
+    this.dialog.querySelector('[data-action="import"]').disabled = true;
+    this.setStatus('');
+    if (!file) return;
+
+    try {
+      this.data = JSON.parse(await file.text());
+    } catch (error) {
+      this.setStatus("Ce fichier n'est pas un JSON valide.");
+      return;
+    }
+
+    const encrypted = Boolean(this.data && this.data.encrypted);
+    this.dialog.querySelector('.conversation-import-passphrase').hidden = !encrypted;
+    if (encrypted) {
+      this.dialog.querySelector('[name="passphrase"]').focus();
+      return;
+    }
+
+    await this.loadPreview();
+  }
+
+  async loadPreview() {
+    if (!this.data) return;
+    this.setStatus('');
+
+    try {
+      this.preview = await this.storage.previewImport(this.data, { passphrase: this.passphrase() });
+    } catch (error) {
+      this.setStatus(error.name === 'WrongPassphraseError'
+        ? 'Phrase secrète incorrecte.'
+        : "Ce fichier n'est pas une sauvegarde de conversations reconnue.");
+      return;
+    }
+
+    this.renderPreview();
+  }
+
+  passphrase() {
+    return this.dialog.querySelector('[name="passphrase"]').value || undefined;
+  }
+
+  renderPreview() {
+    const container = this.dialog.querySelector('.conversation-import-preview');
+    const records = this.preview.records;
+    const count = (status) => records.filter((record) => record.status === status).length;
+    const conflicts = count('conflict');
+
+    container.innerHTML = `
+      <p class="conversation-import-summary">
+        ${count('new')} nouvelle(s), ${conflicts} déjà présente(s), ${count('invalid')} invalide(s)
+      </p>
+      ${conflicts > 1 ? `
+        <label class="conversation-import-all">
+          <span>Pour toutes les conversations déjà présentes</span>
+          <select name="resolve-all">${this.resolutionOptions()}</select>
+        </label>` : ''}
+      <ul class="conversation-import-list"></ul>
+    `;
+
+    const list = container.querySelector('.conversation-import-list');
+    records.forEach((record) => list.appendChild(this.renderRecord(record)));
+
+    this.dialog.querySelector('[data-action="import"]').disabled = count('new') + conflicts === 0;
+  }
+
+  // Titres et erreurs viennent du fichier : insérés en texte uniquement
+  renderRecord(record) {
+    const row = document.createElement('li');
+    row.className = `conversation-import-record ${record.status}`;
+
+    const title = document.createElement('span');
+    title.className = 'conversation-import-title';
+    title.textContent = record.title || record.id || `Enregistrement ${record.index + 1}`;
+    row.appendChild(title);
+
+    const status = document.createElement('span');
+    status.className = 'conversation-import-badge';
+    status.textContent = IMPORT_STATUS_LABELS[record.status];
+    row.appendChild(status);
+
+    if (record.status === 'conflict') {
+      const select = document.createElement('select');
+      select.dataset.id = record.id;
+      select.innerHTML = this.resolutionOptions();
+      select.title = `Conversation existante : ${record.existingTitle || 'Sans titre'}`;
+      row.appendChild(select);
+    } else if (record.status === 'invalid') {
+      const errors = document.createElement('div');
+      errors.className = 'conversation-import-errors';
+      errors.textContent = record.errors.join(' · ');
+      row.appendChild(errors);
+    }
+
+    return row;
+  }
+
+  resolutionOptions() {
+    return IMPORT_RESOLUTIONS
+      .map((resolution) => `<option value="${resolution.value}">${resolution.label}</option>`)
+      .join('');
+  }
+
+  async import() {
+    const resolutions = {};
+    this.dialog.querySelectorAll('select[data-id]').forEach((select) => {
+      resolutions[select.dataset.id] = select.value;
+    });
+
+    const button = this.dialog.querySelector('[data-action="import"]');
+    button.disabled = true;
+
+    try {
+      const report = await this.storage.importConversations(this.data, {
+        passphrase: this.passphrase(),
+        resolutions
+      });
+
+      this.dialog.querySelector('.conversation-import-preview').innerHTML = '';
+      this.setStatus('');
+      this.renderReport(report);
+      this.dialog.querySelector('[data-action="cancel"]').textContent = 'Fermer';
+      this.onImported(report);
+
+    } catch (error) {
+      console.error('❌ Import des conversations impossible:', error);
+      this.setStatus("L'import a échoué, veuillez réessayer.");
+      button.disabled = false;
+    }
+  }
+
+  renderReport(report) {
+    const container = this.dialog.querySelector('.conversation-import-preview');
+    container.innerHTML = `
+      <p class="conversation-import-summary">
+        ${report.added} ajoutée(s), ${report.overwritten} remplacée(s), ${report.duplicated} copiée(s), ${report.skipped} ignorée(s), ${report.errors.length} rejetée(s)
+      </p>
+      <ul class="conversation-import-list"></ul>
+    `;
+
+    const list = container.querySelector('.conversation-import-list');
+    report.errors.forEach((error) => {
+      list.appendChild(this.renderRecord({ ...error, status: 'invalid' }));
+    });
+  }
+}
+
+function openConversationImport(storage, onImported) {
+  window.conversationImportDialog.open(storage, onImported);
+}
+
+// Initialiser le dialogue et l'exposer globalement
+if (typeof window !== 'undefined') {
+  if (!window.conversationImportDialog) {
+    window.conversationImportDialog = new ConversationImportDialog();
+  }
+
+  window.openConversationImport = openConversationImport;
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationImportDialog;
+}
@@ -0,0 +1,119 @@
+/* ========== RECHERCHE DANS LES CONVERSATIONS ========== */
+
+class ConversationSearch {
+  constructor() {
+    this.container = null;
+    this.input = null;
+    this.results = null;
+    this.options = null;
+    this.hits = [];
+    this.debounceTimer = null;
+  }
+
+  /**
+   * Branche le champ de recherche ; `options.search(query)` renvoie les résultats
+   * de l'index, `options.onSelect(hit)` ouvre la conversation correspondante
+   */
+  init(container, options) {
+    if (!container || this.container) return;
+
+    this.container = container;
+    this.options = options;
+    this.container.innerHTML = `
+      <div class="search-field">
+        <i class="fa-regular fa-magnifying-glass"></i>
+        <input type="search" placeholder="Rechercher dans l'historique" aria-label="Rechercher dans l'historique" autocomplete="off" />
+      </div>
+      <div class="search-results" role="listbox"></div>
+    `;
+
+    this.input = this.container.querySelector('input');
+    this.results = this.container.querySelector('.search-results');
+
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => this.run(), 150);
+    });
+
+    this.input.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.reset();
+      } else if (event.key === 'Enter' && this.hits.length > 0) {
+        event.preventDefault();
+        this.select(0);
+      }
+    });
+
+    this.results.addEventListener('click', (event) => {
+      const result = event.target.closest('[data-index]');
+      if (result) {
+        this.select(Number(result.dataset.index));
+      }
+    });
+  }
+
+  run() {
+    const query = this.input.value.trim();
+    this.hits = query ? this.options.search(query) : [];
+    this.render(query);
+  }
+
+  render(query) {
+    this.container.classList.toggle('searching', query !== '');
+
+    if (!query) {
+      this.results.innerHTML = '';
+      return;
+    }
+
+    if (this.hits.length === 0) {
+      this.results.innerHTML = '<div class="search-empty">Aucun résultat</div>';
+      return;
+    }
+
+    // Les extraits sont déjà échappés par l'index, seuls les <mark> sont du HTML
+    this.results.innerHTML = this.hits.map((hit, index) => `
+      <div class="search-result" data-index="${index}" role="option">
+        <div class="search-result-title">
+          <span>${escapeHtml(hit.title || 'Sans titre')}</span>
+          <span class="search-result-role">${hit.role === 'user' ? 'Vous' : 'nOg'}</span>
+        </div>
+        <div class="search-result-snippet">${hit.snippet}</div>
+      </div>
+    `).join('');
+  }
+
+  select(index) {
+    const hit = this.hits[index];
+    if (!hit) return;
+
+    this.results.querySelectorAll('.search-result').forEach((element) => {
+      element.classList.toggle('active', Number(element.dataset.index) === index);
+    });
+    this.options.onSelect(hit);
+  }
+
+  /**
+   * Vide le champ et les résultats (changement d'utilisateur, verrouillage)
+   */
+  reset() {
+    if (!this.container) return;
+
+    clearTimeout(this.debounceTimer);
+    this.input.value = '';
+    this.hits = [];
+    this.render('');
+  }
+}
+
+// Initialiser la recherche et l'exposer globalement
+if (typeof window !== 'undefined') {
+  if (!window.conversationSearch) {
+    window.conversationSearch = new ConversationSearch();
+  }
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationSearch;
+}
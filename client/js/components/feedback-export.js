@@ -0,0 +1,150 @@
+/* ========== EXPORT DES AVIS POUR LA REVUE QUALITÉ ========== */
+
+class FeedbackExportDialog {
+  constructor() {
+    this.dialog = null;
+    this.storage = null;
+  }
+
+  open() {
+    if (this.dialog) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'feedback-export-overlay';
+    this.dialog.innerHTML = `
+      <div class="feedback-export-dialog" role="dialog" aria-labelledby="feedback-export-title">
+        <h2 id="feedback-export-title">Exporter les avis</h2>
+        <p class="feedback-export-hint">Réponses notées (like / dislike) avec la question posée, le modèle, le motif et la présence de sources vidéo.</p>
+        <div class="feedback-export-fields">
+          <label>
+            <span>Du</span>
+            <input type="date" name="from" max="${today}" />
+          </label>
+          <label>
+            <span>Au</span>
+            <input type="date" name="to" max="${today}" />
+          </label>
+          <label>
+            <span>Avis</span>
+            <select name="rating">
+              <option value="">Tous</option>
+              <option value="like">Positifs</option>
+              <option value="dislike">Négatifs</option>
+            </select>
+          </label>
+        </div>
+        <div class="feedback-export-status"></div>
+        <div class="feedback-export-actions">
+          <button class="soft-shadow" data-action="cancel">Annuler</button>
+          <button class="soft-shadow" data-action="csv">CSV</button>
+          <button class="soft-shadow" data-action="jsonl">JSONL</button>
+        </div>
+      </div>
+    `;
+
+    this.dialog.addEventListener('click', (event) => {
+      if (event.target === this.dialog) {
+        this.close();
+        return;
+      }
+
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'cancel') {
+        this.close();
+      } else if (action) {
+        this.export(action);
+      }
+    });
+
+    document.body.appendChild(this.dialog);
+  }
+
+  close() {
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+    }
+  }
+
+  getFilters() {
+    const from = this.dialog.querySelector('[name="from"]').value;
+    const to = this.dialog.querySelector('[name="to"]').value;
+    const rating = this.dialog.querySelector('[name="rating"]').value;
+
+    return {
+      // Les dates saisies sont des journées entières en heure locale
+      from: from ? new Date(`${from}T00:00:00`) : null,
+      to: to ? new Date(`${to}T23:59:59.999`) : null,
+      rating: rating || null
+    };
+  }
+
+  async export(format) {
+    const status = this.dialog.querySelector('.feedback-export-status');
+    const model = document.getElementById('model');
+
+    if (!this.storage) {
+      // Instance partagée de chat.js quand elle est disponible
+      this.storage = typeof storage_manager !== 'undefined' ? storage_manager : new StorageManager();
+    }
+
+    try {
+      const content = await this.storage.exportFeedback({
+        ...this.getFilters(),
+        format: format,
+        model: model ? model.options[model.selectedIndex]?.text : null
+      });
+
+      if (!content || content.split(/\r?\n/).length < (format === 'csv' ? 2 : 1)) {
+        status.textContent = 'Aucun avis ne correspond à ces critères.';
+        return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      this.download(
+        content,
+        `nog-feedback-${date}.${format}`,
+        format === 'csv' ? 'text/csv;charset=utf-8' : 'application/x-ndjson;charset=utf-8'
+      );
+      this.close();
+
+    } catch (error) {
+      console.error('❌ Export des avis impossible:', error);
+      status.textContent = "L'export a échoué, veuillez réessayer.";
+    }
+  }
+
+  download(content, filename, type) {
+    // BOM pour qu'Excel lise correctement les accents du CSV
+    const blob = new Blob([type.startsWith('text/csv') ? '\uFEFF' + content : content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
+
+function openFeedbackExport() {
+  window.feedbackExportDialog.open();
+}
+
+// Initialiser le dialogue et exposer la fonction globalement
+if (typeof window !== 'undefined') {
+  if (!window.feedbackExportDialog) {
+    window.feedbackExportDialog = new FeedbackExportDialog();
+  }
+
+  window.openFeedbackExport = openFeedbackExport;
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FeedbackExportDialog;
+}
@@ -0,0 +1,127 @@
+/* ========== DÉFILEMENT DES MESSAGES (RESTER EN BAS) ========== */
+
+// Distance au bas (px) en dessous de laquelle la liste est considérée en bas
+const BOTTOM_THRESHOLD = 80;
+
+// Touches qui font remonter la liste quand elle a le focus
+const SCROLL_UP_KEYS = ['ArrowUp', 'PageUp', 'Home'];
+
+class MessageScroll {
+  constructor() {
+    this.box = null;
+    this.button = null;
+    this.options = { autoScroll: true };
+    this.following = true;
+    this.unread = false;
+    this.pointerDown = false;
+    this.lastHeight = 0;
+  }
+
+  /**
+   * Suit le bas de `box` pendant les réponses ; le bouton « Aller au dernier
+   * message » est ajouté à `anchor`. Avec `autoScroll: false`, la liste ne
+   * défile jamais d'elle-même, seul le bouton y ramène.
+   */
+  init(box, anchor, options = {}) {
+    if (!box || this.box) return;
+
+    this.box = box;
+    this.options = { ...this.options, ...options };
+    this.lastHeight = box.scrollHeight;
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'jump-to-latest soft-shadow';
+    this.button.hidden = true;
+    this.button.title = 'Aller au dernier message';
+    this.button.setAttribute('aria-label', 'Aller au dernier message');
+    this.button.innerHTML = '<i class="fa-regular fa-arrow-down"></i><span class="jump-to-latest-dot"></span>';
+    this.button.addEventListener('click', () => this.jumpToLatest());
+    anchor.appendChild(this.button);
+
+    // Seul un geste de l'utilisateur vers le haut décroche le suivi : le
+    // contenu qui change ou un défilement du code ne le font pas
+    box.addEventListener('wheel', (event) => {
+      if (event.deltaY < 0) this.release();
+    }, { passive: true });
+    box.addEventListener('touchmove', () => this.release(), { passive: true });
+    box.addEventListener('keydown', (event) => {
+      if (SCROLL_UP_KEYS.includes(event.key)) this.release();
+    });
+    box.addEventListener('pointerdown', () => {
+      this.pointerDown = true;
+    });
+    window.addEventListener('pointerup', () => {
+      this.pointerDown = false;
+    });
+
+    box.addEventListener('scroll', () => {
+      if (this.isAtBottom()) {
+        this.following = true;
+        this.unread = false;
+      } else if (this.pointerDown) {
+        // Barre de défilement tirée à la souris
+        this.following = false;
+      }
+      this.renderButton();
+    }, { passive: true });
+  }
+
+  isAtBottom() {
+    return this.box.scrollHeight - this.box.scrollTop - this.box.clientHeight <= BOTTOM_THRESHOLD;
+  }
+
+  release() {
+    this.following = false;
+    this.renderButton();
+  }
+
+  /**
+   * À appeler quand du contenu a été ajouté : la liste suit le bas si
+   * l'utilisateur y est resté, sinon le bouton signale du nouveau contenu
+   */
+  update() {
+    if (!this.box) return;
+
+    const grew = this.box.scrollHeight > this.lastHeight;
+    this.lastHeight = this.box.scrollHeight;
+
+    if (this.following && this.options.autoScroll) {
+      this.box.scrollTop = this.box.scrollHeight;
+    } else if (grew && !this.isAtBottom()) {
+      this.unread = true;
+    }
+    this.renderButton();
+  }
+
+  /**
+   * Ramène au dernier message et reprend le suivi (envoi d'une question,
+   * ouverture d'une conversation, clic sur le bouton)
+   */
+  jumpToLatest({ smooth = true } = {}) {
+    if (!this.box) return;
+
+    this.following = true;
+    this.unread = false;
+    this.lastHeight = this.box.scrollHeight;
+    this.box.scrollTo({ top: this.box.scrollHeight, behavior: smooth ? 'smooth' : 'instant' });
+    this.renderButton();
+  }
+
+  renderButton() {
+    this.button.hidden = (this.following && this.options.autoScroll) || this.isAtBottom();
+    this.button.classList.toggle('unread', this.unread);
+  }
+}
+
+// Initialiser le défilement et l'exposer globalement
+if (typeof window !== 'undefined') {
+  if (!window.messageScroll) {
+    window.messageScroll = new MessageScroll();
+  }
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageScroll;
+}
@@ -0,0 +1,70 @@
+/* ========== NOTIFICATIONS TEMPORAIRES (TOAST) ========== */
+
+class Toast {
+  constructor() {
+    this.container = null;
+  }
+
+  /**
+   * Affiche `message` pendant `duration` ms ; avec `actionLabel`, un bouton
+   * appelle `onAction` (Annuler) puis ferme la notification
+   */
+  show(message, { actionLabel = null, onAction = null, duration = 6000 } = {}) {
+    if (!this.container) {
+      this.container = document.createElement('div');
+      this.container.className = 'toast-container';
+      this.container.setAttribute('role', 'status');
+      this.container.setAttribute('aria-live', 'polite');
+      document.body.appendChild(this.container);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'toast soft-shadow';
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const close = () => {
+      clearTimeout(timer);
+      toast.remove();
+    };
+
+    if (actionLabel && onAction) {
+      const action = document.createElement('button');
+      action.type = 'button';
+      action.className = 'toast-action';
+      action.textContent = actionLabel;
+      action.addEventListener('click', () => {
+        close();
+        onAction();
+      });
+      toast.appendChild(action);
+    }
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'toast-close';
+    dismiss.setAttribute('aria-label', 'Fermer');
+    dismiss.innerHTML = '<i class="fa-regular fa-xmark"></i>';
+    dismiss.addEventListener('click', close);
+    toast.appendChild(dismiss);
+
+    this.container.appendChild(toast);
+    const timer = setTimeout(close, duration);
+
+    return close;
+  }
+}
+
+// Initialiser les notifications et les exposer globalement
+if (typeof window !== 'undefined') {
+  if (!window.toast) {
+    window.toast = new Toast();
+  }
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Toast;
+}
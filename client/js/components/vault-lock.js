@@ -0,0 +1,213 @@
+/* ========== CHIFFREMENT DE L'HISTORIQUE : VERROUILLAGE ET RÉGLAGES ========== */
+
+class VaultLockScreen {
+  constructor() {
+    this.overlay = null;
+    this.settings = null;
+    this.idleTimer = null;
+    this.autoLock = null;
+    this.activityHandler = () => this.resetIdleTimer();
+  }
+
+  /**
+   * Affiche l'écran de déverrouillage ; résolu une fois le stockage déverrouillé
+   */
+  prompt(storage) {
+    if (this.overlay) return this.pending;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'vault-lock-overlay';
+    this.overlay.innerHTML = `
+      <form class="vault-lock-dialog" autocomplete="off">
+        <img src="/assets/img/nog_logo_no_text.png" alt="nOg logo" class="vault-lock-logo" />
+        <h2>Historique verrouillé</h2>
+        <p>Vos conversations sont chiffrées sur cet appareil. Saisissez votre phrase secrète pour y accéder.</p>
+        <input type="password" name="passphrase" placeholder="Phrase secrète" required />
+        <div class="vault-error"></div>
+        <button type="submit" class="soft-shadow">Déverrouiller</button>
+        <button type="button" class="vault-reset" data-action="reset">Phrase secrète oubliée ?</button>
+      </form>
+    `;
+
+    document.body.appendChild(this.overlay);
+    document.body.classList.add('vault-locked');
+
+    const form = this.overlay.querySelector('form');
+    const input = form.querySelector('[name="passphrase"]');
+    const error = form.querySelector('.vault-error');
+    input.focus();
+
+    this.pending = new Promise((resolve) => {
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        error.textContent = '';
+        form.classList.add('vault-busy');
+
+        try {
+          await storage.unlock(input.value);
+          this.closePrompt();
+          resolve();
+        } catch (e) {
+          error.textContent = e.name === 'WrongPassphraseError'
+            ? 'Phrase secrète incorrecte.'
+            : 'Déverrouillage impossible.';
+          input.select();
+        } finally {
+          form.classList.remove('vault-busy');
+        }
+      });
+
+      form.querySelector('[data-action="reset"]').addEventListener('click', async () => {
+        if (!confirm("Sans la phrase secrète, l'historique chiffré ne peut pas être récupéré.\nEffacer toutes les conversations de cet appareil ?")) {
+          return;
+        }
+
+        await storage.resetEncryptedStorage();
+        this.closePrompt();
+        resolve();
+      });
+    });
+
+    return this.pending;
+  }
+
+  closePrompt() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    document.body.classList.remove('vault-locked');
+  }
+
+  /**
+   * Verrouille après `minutes` sans activité ; `isBusy` reporte le verrouillage
+   * (réponse en cours), `onLock` efface l'affichage et redemande la phrase secrète
+   */
+  startAutoLock(options) {
+    this.stopAutoLock();
+    if (!options.minutes) return;
+
+    this.autoLock = options;
+    ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach((type) => {
+      document.addEventListener(type, this.activityHandler, { passive: true, capture: true });
+    });
+    this.resetIdleTimer();
+  }
+
+  stopAutoLock() {
+    clearTimeout(this.idleTimer);
+    ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach((type) => {
+      document.removeEventListener(type, this.activityHandler, { capture: true });
+    });
+    this.autoLock = null;
+  }
+
+  resetIdleTimer() {
+    if (!this.autoLock || this.overlay) return;
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      if (this.autoLock.isBusy && this.autoLock.isBusy()) {
+        this.resetIdleTimer();
+        return;
+      }
+      this.autoLock.onLock();
+    }, this.autoLock.minutes * 60 * 1000);
+  }
+
+  /**
+   * Réglages : activer, changer la phrase secrète ou désactiver le chiffrement ;
+   * `onChange` est appelé après chaque modification réussie
+   */
+  openSettings(storage, onChange = () => {}) {
+    if (this.settings) return;
+
+    const enabled = storage.isEncryptionEnabled();
+    this.settings = document.createElement('div');
+    this.settings.className = 'vault-lock-overlay vault-settings-overlay';
+    this.settings.innerHTML = `
+      <form class="vault-lock-dialog" autocomplete="off">
+        <h2>Chiffrement de l'historique</h2>
+        ${enabled
+          ? `<p>L'historique est chiffré sur cet appareil (AES-GCM). Changer la phrase secrète rechiffre toutes les conversations.</p>
+             <input type="password" name="current" placeholder="Phrase secrète actuelle" required />
+             <input type="password" name="next" placeholder="Nouvelle phrase secrète" />
+             <input type="password" name="confirm" placeholder="Confirmer la nouvelle phrase secrète" />`
+          : `<p>Chiffre les conversations enregistrées dans ce navigateur. Sans la phrase secrète, elles ne pourront pas être récupérées.</p>
+             <input type="password" name="next" placeholder="Phrase secrète" required />
+             <input type="password" name="confirm" placeholder="Confirmer la phrase secrète" required />`}
+        <div class="vault-error"></div>
+        <div class="vault-actions">
+          <button type="button" class="soft-shadow" data-action="cancel">Annuler</button>
+          ${enabled ? `<button type="button" class="soft-shadow" data-action="disable">Désactiver</button>` : ''}
+          <button type="submit" class="soft-shadow">${enabled ? 'Changer' : 'Activer'}</button>
+        </div>
+      </form>
+    `;
+
+    document.body.appendChild(this.settings);
+
+    const form = this.settings.querySelector('form');
+    const error = form.querySelector('.vault-error');
+    const field = (name) => form.querySelector(`[name="${name}"]`)?.value || '';
+
+    const run = async (action) => {
+      error.textContent = '';
+      form.classList.add('vault-busy');
+
+      try {
+        await action();
+        this.closeSettings();
+        onChange();
+      } catch (e) {
+        error.textContent = e.name === 'WrongPassphraseError'
+          ? 'Phrase secrète actuelle incorrecte.'
+          : e.message;
+      } finally {
+        form.classList.remove('vault-busy');
+      }
+    };
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      if (field('next').length < 8) {
+        error.textContent = 'La phrase secrète doit contenir au moins 8 caractères.';
+        return;
+      }
+      if (field('next') !== field('confirm')) {
+        error.textContent = 'Les phrases secrètes ne correspondent pas.';
+        return;
+      }
+
+      run(() => enabled
+        ? storage.changePassphrase(field('current'), field('next'))
+        : storage.enableEncryption(field('next')));
+    });
+
+    form.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeSettings());
+    form.querySelector('[data-action="disable"]')?.addEventListener('click', () => {
+      if (!form.querySelector('[name="current"]').reportValidity()) return;
+      run(() => storage.disableEncryption(field('current')));
+    });
+  }
+
+  closeSettings() {
+    if (this.settings) {
+      this.settings.remove();
+      this.settings = null;
+    }
+  }
+}
+
+// Initialiser l'écran et l'exposer globalement
+if (typeof window !== 'undefined') {
+  if (!window.vaultLockScreen) {
+    window.vaultLockScreen = new VaultLockScreen();
+  }
+}
+
+// Export pour utilisation en module (si nécessaire)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VaultLockScreen;
+}
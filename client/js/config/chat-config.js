@@ -24,6 +24,7 @@ const ChatConfig = {
       easing: 'ease'
     },
     typing: {
+      enabled: true, // effet machine à écrire ; false affiche le texte dès sa réception
       speed: 7, // ms par caractère
       cursorBlink: 1000
     }
@@ -38,6 +39,23 @@ const ChatConfig = {
     enableCodeHighlight: true
   },
 
+  // Rendu Markdown des réponses (le même en direct et au rechargement)
+  markdown: {
+    breaks: true, // un simple retour à la ligne reste un retour à la ligne
+    tables: true,
+    taskLists: true,
+    footnotes: true,
+    citations: true, // références juridiques (lois suisses et françaises, ATF, CELEX) en liens avec une fiche au survol
+    // Liens des citations par type ; null laisse la référence sans lien. Les {champs}
+    // sont remplis depuis la référence (voir CITATION_LINKS dans markdown-renderer.js)
+    citationLinks: {
+      statute: 'https://www.fedlex.admin.ch/{path}/fr#{anchor}',
+      leadingCase: 'https://www.bger.ch/ext/eurospider/live/fr/php/clir/http/index.php?lang=fr&type=show_document&highlight_docid=atf%3A%2F%2F{volume}-{part}-{page}%3Afr',
+      frenchCode: 'https://www.legifrance.gouv.fr/search/code?tab_selection=code&query={code}%20article%20{article}',
+      celex: 'https://eur-lex.europa.eu/legal-content/FR/TXT/?uri=CELEX:{celex}'
+    }
+  },
+
   // Configuration des fonctionnalités
   features: {
     copyButton: true,
@@ -72,17 +90,44 @@ const ChatConfig = {
   // Configuration des API
   api: {
     endpoint: '/backend-api/v2/conversation',
-    timeout: 30000,
+    timeout: 30000, // ms, délai total de la requête (stream compris)
+    idleTimeout: 15000, // ms sans données reçues avant d'interrompre le stream
     retryAttempts: 3,
-    retryDelay: 1000
+    retryDelay: 1000,
+    feedbackEndpoint: '/backend-api/v2/feedback',
+    titleEndpoint: '/backend-api/v2/title',
+    titleTimeout: 10000, // ms, au-delà le titre est calculé localement
+    syncEndpoint: '/backend-api/v2/sync',
+    syncTimeout: 15000
+  },
+
+  // Configuration des retours utilisateurs (like / dislike)
+  feedback: {
+    reasons: {
+      inaccurate: "Information inexacte",
+      incomplete: "Réponse incomplète",
+      off_topic: "Hors sujet",
+      missing_sources: "Sources manquantes ou erronées",
+      other: "Autre"
+    }
   },
 
   // Configuration du stockage local
   storage: {
+    backend: 'indexeddb', // 'indexeddb' ou 'localStorage' (repli automatique si IndexedDB est indisponible)
     conversationPrefix: 'conversation:',
-    maxConversations: 50,
+    maxConversations: 0, // 0 = illimité, les conversations ne sont jamais supprimées automatiquement
     autoSave: true,
-    compressionEnabled: false
+    compressionEnabled: false, // compression LZ des nouveaux enregistrements ; les deux formats restent lisibles
+    autoLockMinutes: 15, // verrouillage de l'historique chiffré après inactivité (0 = jamais)
+    trashRetentionDays: 30 // suppression définitive des conversations de la corbeille (0 = jamais)
+  },
+
+  // Synchronisation des conversations entre appareils (indisponible si l'historique est chiffré)
+  sync: {
+    enabled: false,
+    intervalSeconds: 60, // synchronisation périodique, en plus de celle qui suit chaque modification
+    debounceMs: 2000
   },
 
   // Configuration de l'accessibilité
@@ -24,7 +24,7 @@ function performBasicChecks() {
     'chat.js': typeof window.handle_ask === 'function',
     'links.js': typeof window.openLinks === 'function', 
     'highlight.js': typeof hljs !== 'undefined',
-    'markdownit': typeof markdown !== 'undefined'
+    'marked': typeof marked !== 'undefined'
   };
   
   let allGood = true;
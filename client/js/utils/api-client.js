@@ -2,6 +2,41 @@
 
 import { Logger } from './logger.js';
 
+/**
+ * Raised when a request exceeds the total deadline (config.timeout)
+ */
+export class ApiTimeoutError extends Error {
+  constructor(timeout, message = `Request timed out after ${timeout}ms`) {
+    super(message);
+    this.name = 'ApiTimeoutError';
+    this.timeout = timeout;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Raised when the stream stays silent longer than config.idleTimeout
+ */
+export class ApiIdleTimeoutError extends ApiTimeoutError {
+  constructor(timeout) {
+    super(timeout, `No data received for ${timeout}ms`);
+    this.name = 'ApiIdleTimeoutError';
+    this.retryable = true;
+  }
+}
+
+/**
+ * Raised when the backend reports a failure inside the stream, either as a
+ * JSON event ({ error }) or as a plain "Error: ..." line
+ */
+export class ApiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiError';
+    this.retryable = false;
+  }
+}
+
 /**
  * API client for handling communication with the backend
  */
@@ -11,11 +46,18 @@ export class ApiClient {
     this.config = window.ChatConfig?.api || {
       endpoint: '/backend-api/v2/conversation',
       timeout: 30000,
+      idleTimeout: 15000,
       retryAttempts: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      feedbackEndpoint: '/backend-api/v2/feedback',
+      titleEndpoint: '/backend-api/v2/title',
+      titleTimeout: 10000,
+      syncEndpoint: '/backend-api/v2/sync',
+      syncTimeout: 15000
     };
     
     this.currentController = null;
+    this.requestTimer = null;
     this.isInitialized = false;
   }
 
@@ -29,8 +71,11 @@ export class ApiClient {
 
   /**
    * Send a message and return a stream of responses
+   * @param {string} message - User message
+   * @param {string} conversationId - Conversation ID
+   * @param {object} options - Request options (model, messageId, conversation, action, partialAnswer)
    */
-  async sendMessage(message, conversationId = null) {
+  async sendMessage(message, conversationId = null, options = {}) {
     if (!this.isInitialized) {
       throw new Error('API client not initialized');
     }
@@ -40,28 +85,61 @@ export class ApiClient {
 
     // Create new abort controller
     this.currentController = new AbortController();
+    this.startRequestTimeout(this.currentController);
 
     const requestData = {
-      message,
       conversation_id: conversationId || this.generateConversationId(),
-      model: 'Eggon-V1'
+      action: options.action || '_ask',
+      model: options.model || 'Eggon-V1',
+      meta: {
+        id: options.messageId || Date.now().toString(),
+        content: {
+          conversation: options.conversation || [],
+          content_type: 'text',
+          parts: [
+            {
+              content: message,
+              role: 'user'
+            }
+          ]
+        }
+      }
     };
 
+    if (options.partialAnswer) {
+      requestData.meta.content.partial_answer = options.partialAnswer;
+    }
+
     this.logger.info('Sending message to API:', { message, conversationId });
 
     try {
       const response = await this.makeRequest(requestData);
-      return this.createResponseStream(response);
+      return this.createResponseStream(response, { resumeFrom: options.partialAnswer });
     } catch (error) {
+      this.clearRequestTimeout();
       this.currentController = null;
       throw error;
     }
   }
 
+  /**
+   * Resume an interrupted answer: the partial answer is sent back as context
+   * and the stream only yields what comes after it
+   */
+  async continueMessage(message, partialAnswer, conversationId = null, options = {}) {
+    return this.sendMessage(message, conversationId, {
+      ...options,
+      action: '_continue',
+      partialAnswer
+    });
+  }
+
   /**
    * Make HTTP request with retry logic
    */
   async makeRequest(data, attempt = 1) {
+    const controller = this.currentController;
+
     try {
       const response = await fetch(this.config.endpoint, {
         method: 'POST',
@@ -70,7 +148,7 @@ export class ApiClient {
           'Accept': 'text/event-stream'
         },
         body: JSON.stringify(data),
-        signal: this.currentController.signal
+        signal: controller.signal
       });
 
       if (!response.ok) {
@@ -80,8 +158,8 @@ export class ApiClient {
       return response;
 
     } catch (error) {
-      if (error.name === 'AbortError') {
-        throw error;
+      if (controller.signal.aborted) {
+        throw this.resolveAbortError(error, controller);
       }
 
       if (attempt < this.config.retryAttempts) {
@@ -96,15 +174,19 @@ export class ApiClient {
 
   /**
    * Create async generator for streaming response
+   * @param {Response} response - Fetch response
+   * @param {object} options - Stream options (resumeFrom: partial answer already displayed)
    */
-  async* createResponseStream(response) {
+  async* createResponseStream(response, options = {}) {
+    const controller = this.currentController;
+    const resume = { remaining: options.resumeFrom || '' };
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
 
     try {
       while (true) {
-        const { done, value } = await reader.read();
+        const { done, value } = await this.readWithIdleTimeout(reader, controller);
         
         if (done) {
           break;
@@ -118,11 +200,9 @@ export class ApiClient {
           const trimmedLine = line.trim();
           if (trimmedLine) {
             try {
-              const chunk = this.parseStreamChunk(trimmedLine);
-              if (chunk) {
-                yield chunk;
-              }
+              yield* this.dropResumedOverlap(this.parseStreamChunk(trimmedLine), resume);
             } catch (error) {
+              if (error instanceof ApiError) throw error;
               this.logger.warn('Failed to parse stream chunk:', error);
             }
           }
@@ -132,112 +212,319 @@ export class ApiClient {
       // Process any remaining buffer
       if (buffer.trim()) {
         try {
-          const chunk = this.parseStreamChunk(buffer.trim());
-          if (chunk) {
-            yield chunk;
-          }
+          yield* this.dropResumedOverlap(this.parseStreamChunk(buffer.trim()), resume);
         } catch (error) {
+          if (error instanceof ApiError) throw error;
           this.logger.warn('Failed to parse final chunk:', error);
         }
       }
 
+    } catch (error) {
+      throw this.resolveAbortError(error, controller);
     } finally {
-      reader.releaseLock();
-      this.currentController = null;
+      try {
+        reader.releaseLock();
+      } catch (error) {
+        this.logger.debug('Reader lock already released:', error);
+      }
+
+      if (this.currentController === controller) {
+        this.clearRequestTimeout();
+        this.currentController = null;
+      }
     }
   }
 
   /**
-   * Parse individual stream chunk
+   * Drop content the backend repeats from the partial answer being resumed
    */
-  parseStreamChunk(line) {
-    // Handle Server-Sent Events format
-    if (line.startsWith('data: ')) {
-      const data = line.substring(6);
-      
-      if (data === '[DONE]') {
-        return { type: 'done' };
+  *dropResumedOverlap(chunks, resume) {
+    for (const chunk of chunks) {
+      if (chunk.type !== 'content' || !resume.remaining) {
+        yield chunk;
+        continue;
       }
 
-      try {
-        const parsed = JSON.parse(data);
-        return this.processChunkData(parsed);
-      } catch (error) {
-        // Handle plain text chunks
-        return {
-          type: 'content',
-          content: data
-        };
+      const { content } = chunk;
+
+      if (resume.remaining.startsWith(content)) {
+        resume.remaining = resume.remaining.slice(content.length);
+        continue;
+      }
+
+      if (content.startsWith(resume.remaining)) {
+        const rest = content.slice(resume.remaining.length);
+        resume.remaining = '';
+        if (rest) {
+          yield { ...chunk, content: rest };
+        }
+        continue;
       }
+
+      // The backend genuinely continues where the answer stopped
+      resume.remaining = '';
+      yield chunk;
+    }
+  }
+
+  /**
+   * Read the next stream chunk, aborting if nothing arrives within config.idleTimeout
+   */
+  async readWithIdleTimeout(reader, controller) {
+    const idleTimeout = this.config.idleTimeout;
+    if (!idleTimeout) {
+      return reader.read();
+    }
+
+    const timer = setTimeout(() => {
+      this.logger.warn(`No data received for ${idleTimeout}ms, aborting stream`);
+      controller.abort(new ApiIdleTimeoutError(idleTimeout));
+    }, idleTimeout);
+
+    try {
+      return await reader.read();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Start the total request deadline (config.timeout)
+   */
+  startRequestTimeout(controller) {
+    this.clearRequestTimeout();
+
+    const timeout = this.config.timeout;
+    if (!timeout) {
+      return;
+    }
+
+    this.requestTimer = setTimeout(() => {
+      this.logger.warn(`Request exceeded ${timeout}ms, aborting`);
+      controller.abort(new ApiTimeoutError(timeout));
+    }, timeout);
+  }
+
+  /**
+   * Clear the total request deadline
+   */
+  clearRequestTimeout() {
+    if (this.requestTimer) {
+      clearTimeout(this.requestTimer);
+      this.requestTimer = null;
+    }
+  }
+
+  /**
+   * Surface timeout errors instead of the generic AbortError
+   * raised by fetch/reader when a deadline aborts the controller
+   */
+  resolveAbortError(error, controller) {
+    const reason = controller?.signal.reason;
+    return reason instanceof ApiTimeoutError ? reason : error;
+  }
+
+  /**
+   * Parse individual stream line into typed chunks
+   * (content, sources, metadata, done)
+   * @throws {ApiError} When the line reports a backend failure
+   */
+  parseStreamChunk(line) {
+    // Handle Server-Sent Events format
+    const data = line.startsWith('data: ') ? line.substring(6).trim() : line;
+
+    if (data === '[DONE]') {
+      return [{ type: 'done' }];
     }
 
-    // Handle direct JSON chunks
+    let parsed;
     try {
-      const parsed = JSON.parse(line);
-      return this.processChunkData(parsed);
+      parsed = JSON.parse(data);
     } catch (error) {
-      // Handle plain text
-      return {
+      // The backend relays upstream failures as "Error: Received status code ..."
+      if (data.startsWith('Error:')) {
+        throw new ApiError(data.substring(6).trim());
+      }
+
+      // Handle plain text chunks
+      return [{
         type: 'content',
-        content: line
-      };
+        content: data
+      }];
     }
+
+    return this.processChunkData(parsed);
   }
 
   /**
    * Process parsed chunk data
+   * A single payload may carry metadata, sources and content at once
    */
   processChunkData(data) {
-    // Handle different response formats
-    if (data.choices && data.choices[0]) {
-      const choice = data.choices[0];
-      
-      if (choice.delta && choice.delta.content) {
-        return {
-          type: 'content',
-          content: choice.delta.content
-        };
-      }
-      
-      if (choice.message && choice.message.content) {
-        return {
-          type: 'content',
-          content: choice.message.content
-        };
-      }
-    }
+    const chunks = [];
 
-    // Handle direct content
-    if (data.content) {
-      return {
-        type: 'content',
-        content: data.content
-      };
+    if (!data || typeof data !== 'object') {
+      return chunks;
     }
 
-    // Handle sources/references
-    if (data.sources || data.references) {
-      return {
-        type: 'sources',
-        sources: data.sources || data.references
-      };
+    if (data.error) {
+      throw new ApiError(String(data.error));
     }
 
-    // Handle metadata
+    // Handle metadata (language, links...)
     if (data.metadata) {
-      return {
+      chunks.push({
         type: 'metadata',
         metadata: data.metadata
-      };
+      });
+    }
+
+    // Handle sources/references
+    const sources = data.sources || data.references || data.metadata?.links;
+    if (Array.isArray(sources) && sources.length > 0) {
+      chunks.push({
+        type: 'sources',
+        sources
+      });
+    }
+
+    // Handle different response formats
+    const content = data.choices?.[0]?.delta?.content
+      || data.choices?.[0]?.message?.content
+      || data.content
+      || data.response;
+
+    if (content) {
+      chunks.push({
+        type: 'content',
+        content
+      });
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Send like/dislike feedback on an assistant answer
+   * @param {object} feedback - Feedback payload (conversation_id, message_id, rating, reason, comment...)
+   */
+  async sendFeedback(feedback) {
+    if (!this.isInitialized) {
+      throw new Error('API client not initialized');
+    }
+
+    this.logger.info('Sending feedback:', feedback);
+
+    const response = await fetch(this.config.feedbackEndpoint || '/backend-api/v2/feedback', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(feedback)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Ask the backend for a short conversation title. Runs on its own
+   * controller so it never interrupts the chat stream.
+   * @param {object} exchange - First exchange (conversation_id, question, answer)
+   * @returns {Promise<string>} Title proposed by the backend
+   */
+  async generateTitle(exchange) {
+    if (!this.isInitialized) {
+      throw new Error('API client not initialized');
+    }
+
+    const timeout = this.config.titleTimeout || 10000;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new ApiTimeoutError(timeout)), timeout);
+
+    try {
+      const response = await fetch(this.config.titleEndpoint || '/backend-api/v2/title', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(exchange),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.title;
+    } catch (error) {
+      throw this.resolveAbortError(error, controller);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch the conversation changes accepted by the sync server after `cursor`
+   * @param {number} cursor - Last server revision already applied
+   * @returns {Promise<{changes: object[], cursor: number}>}
+   */
+  async pullChanges(cursor) {
+    return this.syncRequest(`?since=${encodeURIComponent(cursor)}`, { method: 'GET' });
+  }
+
+  /**
+   * Send local conversation changes to the sync server
+   * @param {object} payload - { device, changes: [{ id, baseRevision, lastModified, deleted, record }] }
+   * @returns {Promise<{accepted: object[], conflicts: object[], cursor: number}>}
+   */
+  async pushChanges(payload) {
+    return this.syncRequest('', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+  }
+
+  async syncRequest(query, init) {
+    if (!this.isInitialized) {
+      throw new Error('API client not initialized');
     }
 
-    return null;
+    const timeout = this.config.syncTimeout || 15000;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new ApiTimeoutError(timeout)), timeout);
+
+    try {
+      const response = await fetch(`${this.config.syncEndpoint || '/backend-api/v2/sync'}${query}`, {
+        ...init,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      throw this.resolveAbortError(error, controller);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
    * Abort current request
    */
   abortCurrentRequest() {
+    this.clearRequestTimeout();
+
     if (this.currentController) {
       this.currentController.abort();
       this.currentController = null;
@@ -289,3 +576,11 @@ export class ApiClient {
     }
   }
 }
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.ApiClient = ApiClient;
+  window.ApiTimeoutError = ApiTimeoutError;
+  window.ApiIdleTimeoutError = ApiIdleTimeoutError;
+  window.ApiError = ApiError;
+}
@@ -0,0 +1,203 @@
+/* ========== COMPRESSION UTILITY ========== */
+
+/**
+ * Dependency-free LZW-style string compression (same scheme as lz-string's
+ * UTF-16 variant). Each output character carries 15 bits offset by 32, so the
+ * result never contains control characters or lone surrogates and can be
+ * stored as-is in localStorage.
+ */
+
+const BITS_PER_CHAR = 15;
+const CHAR_OFFSET = 32;
+
+/**
+ * Compress a string into a UTF-16 safe string
+ * @param {string} input - Text to compress
+ * @returns {string}
+ */
+export function compressToUTF16(input) {
+  if (input === null || input === undefined) {
+    return '';
+  }
+
+  const dictionary = new Map();
+  const pending = new Set();
+  const output = [];
+  let word = '';
+  let enlargeIn = 2;
+  let dictSize = 3;
+  let numBits = 2;
+  let data = 0;
+  let position = 0;
+
+  const writeBits = (value, count) => {
+    for (let i = 0; i < count; i++) {
+      data = (data << 1) | (value & 1);
+      value >>= 1;
+      if (position === BITS_PER_CHAR - 1) {
+        output.push(String.fromCharCode(data + CHAR_OFFSET));
+        position = 0;
+        data = 0;
+      } else {
+        position++;
+      }
+    }
+  };
+
+  const decrementEnlarge = () => {
+    enlargeIn--;
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+  };
+
+  // Emit the code of `word`; characters seen for the first time are written literally
+  const emitWord = () => {
+    if (pending.has(word)) {
+      const code = word.charCodeAt(0);
+      if (code < 256) {
+        writeBits(0, numBits);
+        writeBits(code, 8);
+      } else {
+        writeBits(1, numBits);
+        writeBits(code, 16);
+      }
+      decrementEnlarge();
+      pending.delete(word);
+    } else {
+      writeBits(dictionary.get(word), numBits);
+    }
+    decrementEnlarge();
+  };
+
+  for (const char of input.split('')) {
+    if (!dictionary.has(char)) {
+      dictionary.set(char, dictSize++);
+      pending.add(char);
+    }
+
+    const extended = word + char;
+    if (dictionary.has(extended)) {
+      word = extended;
+    } else {
+      emitWord();
+      dictionary.set(extended, dictSize++);
+      word = char;
+    }
+  }
+
+  if (word !== '') {
+    emitWord();
+  }
+
+  // End of stream marker, then flush the last partial character
+  writeBits(2, numBits);
+  while (true) {
+    data <<= 1;
+    if (position === BITS_PER_CHAR - 1) {
+      output.push(String.fromCharCode(data + CHAR_OFFSET));
+      break;
+    }
+    position++;
+  }
+
+  return output.join('');
+}
+
+/**
+ * Decompress a string produced by compressToUTF16
+ * @param {string} compressed - Compressed text
+ * @returns {string|null} Original text, or null when the input is corrupted
+ */
+export function decompressFromUTF16(compressed) {
+  if (compressed === null || compressed === undefined) {
+    return '';
+  }
+  if (compressed === '') {
+    return null;
+  }
+
+  const resetValue = 1 << (BITS_PER_CHAR - 1);
+  const dictionary = ['', '', ''];
+  const result = [];
+  let enlargeIn = 4;
+  let dictSize = 4;
+  let numBits = 3;
+  let index = 1;
+  let value = compressed.charCodeAt(0) - CHAR_OFFSET;
+  let position = resetValue;
+
+  const readBits = (count) => {
+    let bits = 0;
+    for (let power = 1; power !== 1 << count; power <<= 1) {
+      const bit = value & position;
+      position >>= 1;
+      if (position === 0) {
+        position = resetValue;
+        value = compressed.charCodeAt(index++) - CHAR_OFFSET;
+      }
+      bits |= (bit > 0 ? 1 : 0) * power;
+    }
+    return bits;
+  };
+
+  let entry;
+  switch (readBits(2)) {
+    case 0:
+      entry = String.fromCharCode(readBits(8));
+      break;
+    case 1:
+      entry = String.fromCharCode(readBits(16));
+      break;
+    case 2:
+      return '';
+    default:
+      return null;
+  }
+
+  dictionary[3] = entry;
+  let word = entry;
+  result.push(entry);
+
+  while (true) {
+    if (index > compressed.length) {
+      return null;
+    }
+
+    let code = readBits(numBits);
+    switch (code) {
+      case 0:
+      case 1:
+        dictionary[dictSize++] = String.fromCharCode(readBits(code === 0 ? 8 : 16));
+        code = dictSize - 1;
+        enlargeIn--;
+        break;
+      case 2:
+        return result.join('');
+    }
+
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+
+    if (dictionary[code]) {
+      entry = dictionary[code];
+    } else if (code === dictSize) {
+      entry = word + word.charAt(0);
+    } else {
+      return null;
+    }
+    result.push(entry);
+
+    dictionary[dictSize++] = word + entry.charAt(0);
+    enlargeIn--;
+    word = entry;
+
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+  }
+}
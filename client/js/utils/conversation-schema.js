@@ -0,0 +1,174 @@
+/* ========== CONVERSATION SCHEMA UTILITY ========== */
+
+// Nested branches deeper than this are rejected rather than walked
+const MAX_BRANCH_DEPTH = 50;
+const MAX_ID_LENGTH = 200;
+
+// Message ids end up in element ids and inline handlers of the chat
+const MESSAGE_ID = /^[\w-]{1,100}$/;
+
+// Optional record fields and the type each one must have when present
+const RECORD_FIELDS = {
+  title: 'string',
+  model: 'string',
+  lastModified: 'number',
+  schemaVersion: 'number',
+  pinned: 'boolean',
+  archived: 'boolean',
+  titleLocked: 'boolean',
+  titleGenerated: 'boolean'
+};
+
+// Avatars are stored as a key: their markup is built by the page, never
+// taken from a record (see avatar_html in chat.js)
+export const AVATAR_KEYS = ['user', 'assistant', 'imanage', 'video'];
+
+// Markup stored as the avatar before the keys, recognized by its image
+const LEGACY_AVATAR = /^<img class="user" src="\/assets\/img\/([\w.-]+)" alt="[\w ]*">$/;
+const LEGACY_AVATAR_IMAGES = {
+  'user-icon.webp': 'user',
+  'gpt_egg.png': 'assistant',
+  'imanage_egg.png': 'imanage'
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a conversation record (schema v1 or v2) before it is imported.
+ * Messages are checked recursively through branch nodes; the first problem
+ * found in a message list stops its walk so that a broken tree yields one
+ * readable error rather than hundreds.
+ * @param {object} record
+ * @returns {string[]} Problems found, empty when the record is valid
+ */
+export function validateConversation(record) {
+  if (!isObject(record)) {
+    return ["l'enregistrement n'est pas un objet"];
+  }
+
+  const errors = [];
+
+  if (typeof record.id !== 'string' || !record.id.trim()) {
+    errors.push('identifiant manquant');
+  } else if (record.id.length > MAX_ID_LENGTH || /[\s'"<>\\]/.test(record.id)) {
+    errors.push('identifiant invalide');
+  }
+
+  for (const [field, type] of Object.entries(RECORD_FIELDS)) {
+    if (record[field] !== undefined && record[field] !== null && typeof record[field] !== type) {
+      errors.push(`champ « ${field} » : ${type} attendu`);
+    }
+  }
+
+  if (record.folderId !== undefined && record.folderId !== null && typeof record.folderId !== 'string') {
+    errors.push('champ « folderId » : string attendu');
+  }
+  if (record.deletedAt !== undefined && record.deletedAt !== null && typeof record.deletedAt !== 'number') {
+    errors.push('champ « deletedAt » : number attendu');
+  }
+  if (record.tags !== undefined && !(Array.isArray(record.tags) && record.tags.every(tag => typeof tag === 'string'))) {
+    errors.push('champ « tags » : liste de textes attendue');
+  }
+
+  // Schema v1 records hold their messages in `items`
+  const messages = record.messages !== undefined ? record.messages : record.items;
+  if (!Array.isArray(messages)) {
+    errors.push('liste des messages manquante');
+  } else {
+    const error = validateMessages(messages, 'messages', 0);
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Key of a stored avatar, whether saved as a key or as markup by earlier versions
+ * @param {*} image
+ * @returns {string|null} null when the value is not a known avatar
+ */
+export function avatarKey(image) {
+  if (AVATAR_KEYS.includes(image)) {
+    return image;
+  }
+  const legacy = typeof image === 'string' ? image.trim().match(LEGACY_AVATAR) : null;
+  return legacy ? LEGACY_AVATAR_IMAGES[legacy[1]] || null : null;
+}
+
+// Absent or empty (attachment lost) avatars fall back to the role's own
+const isValidAvatar = image => image === undefined || image === null || image === '' || avatarKey(image) !== null;
+
+/**
+ * @returns {string|null} First problem found in the list, with its path
+ */
+function validateMessages(messages, path, depth) {
+  if (depth > MAX_BRANCH_DEPTH) {
+    return `${path} : branches trop profondes`;
+  }
+
+  for (let index = 0; index < messages.length; index++) {
+    const message = messages[index];
+    const at = `${path}[${index}]`;
+
+    if (!isObject(message)) {
+      return `${at} : objet attendu`;
+    }
+    if (message.id !== undefined && !(typeof message.id === 'string' && MESSAGE_ID.test(message.id))) {
+      return `${at} : identifiant de message invalide`;
+    }
+    if (!isValidAvatar(message.image)) {
+      return `${at} : avatar inconnu`;
+    }
+
+    if (message.role === 'branch') {
+      if (!Array.isArray(message.branches) || message.branches.length === 0) {
+        return `${at} : branches manquantes`;
+      }
+      if (!Number.isInteger(message.activeBranch) || message.activeBranch < 0 || message.activeBranch >= message.branches.length) {
+        return `${at} : branche active invalide`;
+      }
+      for (let branch = 0; branch < message.branches.length; branch++) {
+        if (!Array.isArray(message.branches[branch])) {
+          return `${at}.branches[${branch}] : liste attendue`;
+        }
+        const error = validateMessages(message.branches[branch], `${at}.branches[${branch}]`, depth + 1);
+        if (error) {
+          return error;
+        }
+      }
+      // A fork closes its list (see get_active_path in chat.js)
+      if (index !== messages.length - 1) {
+        return `${at} : une bifurcation doit terminer sa liste`;
+      }
+    } else if (message.role === 'user' || message.role === 'assistant') {
+      if (typeof message.content !== 'string') {
+        return `${at} : contenu texte attendu`;
+      }
+      if (message.variants !== undefined && !(Array.isArray(message.variants) && message.variants.every(isObject))) {
+        return `${at} : variantes invalides`;
+      }
+      if (message.variants !== undefined && !message.variants.every(variant => isValidAvatar(variant.image))) {
+        return `${at} : avatar de variante inconnu`;
+      }
+      if (message.feedback !== undefined && message.feedback !== null && !isObject(message.feedback)) {
+        return `${at} : avis invalide`;
+      }
+    } else if (message.role === 'video_assistant') {
+      if (!isObject(message.content) || !Array.isArray(message.content.links)) {
+        return `${at} : sources vidéo invalides`;
+      }
+    } else {
+      return `${at} : rôle inconnu « ${String(message.role)} »`;
+    }
+  }
+
+  return null;
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.validateConversation = validateConversation;
+  window.avatarKey = avatarKey;
+}
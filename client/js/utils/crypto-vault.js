@@ -0,0 +1,239 @@
+/* ========== CRYPTO VAULT UTILITY ========== */
+
+// Prefix of encrypted payloads (base64 of IV + AES-GCM ciphertext)
+const ENCRYPTION_MARKER = 'ENC1:';
+
+// Known plaintext encrypted with the key, used to check a passphrase
+const CHECK_VALUE = 'nog-vault-check';
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Raised when encrypted data is accessed while the vault is locked
+ */
+export class VaultLockedError extends Error {
+  constructor(message = 'Storage is locked') {
+    super(message);
+    this.name = 'VaultLockedError';
+  }
+}
+
+/**
+ * Raised when a passphrase does not decrypt the vault
+ */
+export class WrongPassphraseError extends Error {
+  constructor(message = 'Wrong passphrase') {
+    super(message);
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+/**
+ * AES-GCM encryption with a key derived from a passphrase (PBKDF2, SHA-256).
+ * The key only lives in memory; params (salt, iterations, check value) are
+ * what gets persisted.
+ */
+export class CryptoVault {
+  /**
+   * @param {object} params - Persisted parameters ({ version, salt, iterations, check })
+   */
+  constructor(params) {
+    this.params = params;
+    this.key = null;
+  }
+
+  /**
+   * Check whether WebCrypto is available (secure contexts only)
+   */
+  static isSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+  }
+
+  /**
+   * Whether stored data carries the encryption marker
+   */
+  static isEncrypted(data) {
+    return typeof data === 'string' && data.startsWith(ENCRYPTION_MARKER);
+  }
+
+  /**
+   * Create a new, unlocked vault for a passphrase
+   */
+  static async create(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const vault = new CryptoVault({
+      version: 1,
+      salt: CryptoVault.toBase64(salt),
+      iterations: PBKDF2_ITERATIONS
+    });
+
+    vault.key = await CryptoVault.deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    vault.params.check = await vault.encrypt(CHECK_VALUE);
+
+    return vault;
+  }
+
+  /**
+   * Derive the AES-GCM key from a passphrase
+   */
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Unlock the vault; throws WrongPassphraseError if the passphrase does not match
+   */
+  async unlock(passphrase) {
+    const key = await CryptoVault.deriveKey(
+      passphrase,
+      CryptoVault.fromBase64(this.params.salt),
+      this.params.iterations
+    );
+
+    let check = null;
+    try {
+      check = await CryptoVault.decryptWithKey(this.params.check, key);
+    } catch (error) {
+      // AES-GCM authentication fails with a wrong key
+    }
+
+    if (check !== CHECK_VALUE) {
+      throw new WrongPassphraseError();
+    }
+
+    this.key = key;
+  }
+
+  /**
+   * Forget the key
+   */
+  lock() {
+    this.key = null;
+  }
+
+  /**
+   * Whether the key is in memory
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Encrypt a string
+   */
+  async encrypt(text) {
+    if (!this.key) {
+      throw new VaultLockedError();
+    }
+
+    return CryptoVault.encryptWithKey(text, this.key);
+  }
+
+  /**
+   * Decrypt a string produced by encrypt
+   */
+  async decrypt(data) {
+    if (!this.key) {
+      throw new VaultLockedError();
+    }
+
+    return CryptoVault.decryptWithKey(data, this.key);
+  }
+
+  static async encryptWithKey(text, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(text)
+    );
+
+    const payload = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+    payload.set(iv);
+    payload.set(new Uint8Array(ciphertext), IV_BYTES);
+
+    return ENCRYPTION_MARKER + CryptoVault.toBase64(payload);
+  }
+
+  static async decryptWithKey(data, key) {
+    const payload = CryptoVault.fromBase64(data.substring(ENCRYPTION_MARKER.length));
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: payload.subarray(0, IV_BYTES) },
+      key,
+      payload.subarray(IV_BYTES)
+    );
+
+    return new TextDecoder().decode(plaintext);
+  }
+
+  /**
+   * Encrypt a standalone payload (e.g. a backup) with its own salt
+   */
+  static async encryptWithPassphrase(text, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await CryptoVault.deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    return {
+      salt: CryptoVault.toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      data: await CryptoVault.encryptWithKey(text, key)
+    };
+  }
+
+  /**
+   * Decrypt a payload produced by encryptWithPassphrase
+   */
+  static async decryptWithPassphrase(payload, passphrase) {
+    const key = await CryptoVault.deriveKey(
+      passphrase,
+      CryptoVault.fromBase64(payload.salt),
+      payload.iterations
+    );
+
+    try {
+      return await CryptoVault.decryptWithKey(payload.data, key);
+    } catch (error) {
+      throw new WrongPassphraseError();
+    }
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.CryptoVault = CryptoVault;
+  window.VaultLockedError = VaultLockedError;
+  window.WrongPassphraseError = WrongPassphraseError;
+}
@@ -0,0 +1,457 @@
+/* ========== EXPORT FORMATS UTILITY ========== */
+
+import { normalizeText } from './search-index.js';
+import { escapeHtml, safeUrl } from './sanitizer.js';
+
+export const EXPORT_DISCLAIMER = 'N.O.G peut faire des erreurs, assurez-vous de vérifier ses réponses';
+
+const ROLE_LABELS = {
+  user: 'Vous',
+  assistant: 'nOg',
+  video_assistant: 'Sources vidéo'
+};
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// C0 control characters other than tab and line breaks are not allowed in XML
+// 1.0: Word refuses to open a document holding one (pasted from a PDF, say)
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+/**
+ * Header fields shared by every export format
+ * @param {object} conversation - Stored conversation record
+ * @param {object} options - { model, date }; the date defaults to the last activity
+ * @returns {{title: string, date: string, model: string, disclaimer: string}}
+ */
+export function getExportHeader(conversation, options = {}) {
+  const date = options.date || new Date(conversation.lastModified || Date.now());
+
+  return {
+    title: conversation.title || 'Sans titre',
+    date: date.toLocaleString('fr-FR', { dateStyle: 'long', timeStyle: 'short' }),
+    model: conversation.model || options.model || 'inconnu',
+    disclaimer: EXPORT_DISCLAIMER
+  };
+}
+
+/**
+ * File name without extension: slugified title and date
+ */
+export function getExportFilename(conversation) {
+  const slug = normalizeText(conversation.title || 'conversation')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+  const date = new Date(conversation.lastModified || Date.now()).toISOString().slice(0, 10);
+
+  return `nog-${slug || 'conversation'}-${date}`;
+}
+
+/**
+ * Items that are exported: questions, answers and video sources of the displayed path
+ */
+function exportedItems(items) {
+  return items.filter(item => ROLE_LABELS[item.role] && item.content);
+}
+
+function videoSources(item) {
+  const links = item.content.links || [];
+  const titles = item.content.titles || [];
+  return links.map((link, index) => ({ url: link, title: titles[index] || link }));
+}
+
+/**
+ * Render a conversation to Markdown
+ * @param {object} conversation - Stored conversation record
+ * @param {object[]} items - Messages of the displayed path
+ * @param {object} options - See getExportHeader
+ * @returns {string}
+ */
+export function conversationToMarkdown(conversation, items, options = {}) {
+  const header = getExportHeader(conversation, options);
+  const parts = [
+    `# ${header.title}`,
+    `- Date : ${header.date}\n- Modèle : ${header.model}`,
+    `> ${header.disclaimer}`,
+    '---'
+  ];
+
+  for (const item of exportedItems(items)) {
+    parts.push(`## ${ROLE_LABELS[item.role]}`);
+
+    if (item.role === 'video_assistant') {
+      parts.push(videoSources(item).map(source => `- [${source.title}](${source.url})`).join('\n'));
+    } else {
+      parts.push(item.content.trim());
+      if (item.incomplete) {
+        parts.push('_Réponse interrompue._');
+      }
+    }
+  }
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Render a conversation to a standalone HTML document, styled for screen and print
+ * @param {object} conversation - Stored conversation record
+ * @param {object[]} items - Messages of the displayed path
+ * @param {object} options - { model, date, render: markdown to sanitized, highlighted HTML,
+ *   print: open the print dialog once loaded }
+ * @returns {string}
+ */
+export function conversationToHtml(conversation, items, options = {}) {
+  const header = getExportHeader(conversation, options);
+  const render = options.render || (content => `<p>${escapeHtml(content)}</p>`);
+
+  const messages = exportedItems(items).map(item => {
+    let body;
+    if (item.role === 'video_assistant') {
+      body = `<ul>${videoSources(item)
+        .map(source => `<li><a href="${escapeHtml(safeUrl(source.url) || '#')}">${escapeHtml(source.title)}</a></li>`)
+        .join('')}</ul>`;
+    } else if (item.role === 'user') {
+      body = `<p>${escapeHtml(item.content).replace(/\n/g, '<br>')}</p>`;
+    } else {
+      body = render(item.content) + (item.incomplete ? '<p class="notice">Réponse interrompue.</p>' : '');
+    }
+
+    return `<section class="message ${item.role}">
+  <h2>${ROLE_LABELS[item.role]}</h2>
+  ${body}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(header.title)}</title>
+<style>${EXPORT_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(header.title)}</h1>
+  <p class="meta">${escapeHtml(header.date)} · Modèle : ${escapeHtml(header.model)}</p>
+  <p class="disclaimer">${escapeHtml(header.disclaimer)}</p>
+</header>
+${messages}
+${options.print ? "<script>window.addEventListener('load', () => window.print());</script>" : ''}
+</body>
+</html>
+`;
+}
+
+// Same syntax colors as the chat (code-blocks.css) so exported code reads alike
+const EXPORT_STYLES = `
+body { max-width: 800px; margin: 40px auto; padding: 0 24px; font-family: "Open Sans", Arial, sans-serif; font-size: 15px; line-height: 1.6; color: #2f2f2e; }
+header { border-bottom: 1px solid #ddd; margin-bottom: 24px; }
+h1 { font-size: 24px; margin: 0 0 4px; }
+.meta { margin: 0; color: #6a737d; }
+.disclaimer { font-size: 13px; font-style: italic; color: #6a737d; }
+.message { margin-bottom: 24px; }
+.message h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; color: #6a737d; margin: 0 0 4px; }
+.message.user p { background: #f4f4f6; padding: 12px 16px; border-radius: 8px; }
+.notice { font-style: italic; color: #6a737d; }
+pre { background: #f6f8fa; padding: 12px 16px; border-radius: 8px; overflow-x: auto; white-space: pre-wrap; }
+code { font-family: Consolas, "Courier New", monospace; font-size: 13px; }
+table { border-collapse: collapse; margin: 12px 0; }
+th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+a { color: #005cc5; }
+.hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-section, .hljs-link { color: #d73a49; font-weight: 600; }
+.hljs-string, .hljs-title, .hljs-name, .hljs-type, .hljs-attribute, .hljs-symbol, .hljs-bullet, .hljs-addition, .hljs-variable, .hljs-template-tag, .hljs-template-variable { color: #032f62; }
+.hljs-comment, .hljs-quote, .hljs-deletion, .hljs-meta { color: #6a737d; font-style: italic; }
+.hljs-number, .hljs-regexp { color: #005cc5; }
+.hljs-built_in, .hljs-function .hljs-title, .hljs-attr { color: #6f42c1; }
+.hljs-tag { color: #22863a; }
+@media print {
+  body { margin: 0; max-width: none; font-size: 11pt; }
+  .message { break-inside: avoid-page; }
+  pre { white-space: pre-wrap; break-inside: avoid; }
+  a { color: inherit; }
+  a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 9pt; color: #6a737d; }
+}
+`;
+
+/**
+ * Render a conversation to a Word document, built in the browser
+ * @param {object} conversation - Stored conversation record
+ * @param {object[]} items - Messages of the displayed path
+ * @param {object} options - See getExportHeader
+ * @returns {Blob}
+ */
+export function conversationToDocx(conversation, items, options = {}) {
+  const header = getExportHeader(conversation, options);
+  const body = [
+    docxParagraph([{ text: header.title, bold: true, size: 36 }]),
+    docxParagraph([{ text: `${header.date} · Modèle : ${header.model}`, color: '6A737D' }]),
+    docxParagraph([{ text: header.disclaimer, italic: true, color: '6A737D', size: 20 }])
+  ];
+
+  for (const item of exportedItems(items)) {
+    body.push(docxParagraph([{ text: ROLE_LABELS[item.role].toUpperCase(), bold: true, color: '6A737D', size: 20 }], { spacingBefore: 320 }));
+
+    if (item.role === 'video_assistant') {
+      videoSources(item).forEach(source => {
+        body.push(docxParagraph([{ text: `• ${source.title} (${source.url})` }], { indent: 360 }));
+      });
+    } else {
+      body.push(...(item.role === 'user' ? textToDocx(item.content) : markdownToDocx(item.content)));
+      if (item.incomplete) {
+        body.push(docxParagraph([{ text: 'Réponse interrompue.', italic: true, color: '6A737D' }]));
+      }
+    }
+  }
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1417" w:right="1417" w:bottom="1417" w:left="1417" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  return new Blob([createZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'
+    },
+    { name: 'word/document.xml', content: document }
+  ])], { type: DOCX_TYPE });
+}
+
+/**
+ * Convert the Markdown subset produced by the assistant (headings, lists,
+ * quotes, code blocks, tables, inline emphasis) to Word paragraphs
+ */
+function markdownToDocx(markdown) {
+  const paragraphs = [];
+  const lines = markdown.replace(/<[^>]*>/g, '').split('\n');
+  let text = [];
+  let code = null;
+
+  const flush = () => {
+    if (text.length > 0) {
+      paragraphs.push(docxParagraph(inlineRuns(text.join(' '))));
+      text = [];
+    }
+  };
+  const flushCode = () => {
+    code.forEach(codeLine => paragraphs.push(docxParagraph([{ text: codeLine, code: true }], { shading: true })));
+    code = null;
+  };
+
+  for (const line of lines) {
+    if (/^\s*```/.test(line)) {
+      flush();
+      if (code === null) {
+        code = [];
+      } else {
+        flushCode();
+      }
+      continue;
+    }
+    if (code !== null) {
+      code.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    const numbered = line.match(/^(\s*)(\d+[.)])\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+
+    if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      paragraphs.push(docxParagraph(inlineRuns(heading[2], { bold: true, size: Math.max(22, 34 - heading[1].length * 3) }), { spacingBefore: 200 }));
+    } else if (bullet) {
+      flush();
+      paragraphs.push(docxParagraph([{ text: '• ' }, ...inlineRuns(bullet[2])], { indent: 360 + bullet[1].length * 120 }));
+    } else if (numbered) {
+      flush();
+      paragraphs.push(docxParagraph([{ text: `${numbered[2]} ` }, ...inlineRuns(numbered[3])], { indent: 360 + numbered[1].length * 120 }));
+    } else if (quote) {
+      flush();
+      paragraphs.push(docxParagraph(inlineRuns(quote[1], { italic: true }), { indent: 360 }));
+    } else if (/^\s*\|/.test(line)) {
+      flush();
+      // Table separator rows carry no content
+      if (!/^[\s|:-]+$/.test(line)) {
+        const cells = line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+        paragraphs.push(docxParagraph(inlineRuns(cells.join('  |  '))));
+      }
+    } else {
+      text.push(line.trim());
+    }
+  }
+
+  // Unterminated block at the end of an interrupted answer
+  if (code !== null) {
+    flushCode();
+  }
+  flush();
+  return paragraphs;
+}
+
+// User questions are plain text: one paragraph per line, no Markdown
+function textToDocx(text) {
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => docxParagraph([{ text: line }]));
+}
+
+/**
+ * Split inline Markdown into runs: **bold**, *italic*, `code` and [links](url)
+ */
+function inlineRuns(text, base = {}) {
+  const runs = [];
+  const pattern = /\*\*(.+?)\*\*|__(.+?)__|\*(.+?)\*|_(.+?)_|`([^`]+)`|\[([^\]]+)\]\(([^)]+)\)/g;
+  let cursor = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > cursor) {
+      runs.push({ ...base, text: text.substring(cursor, match.index) });
+    }
+
+    if (match[1] || match[2]) {
+      runs.push({ ...base, text: match[1] || match[2], bold: true });
+    } else if (match[3] || match[4]) {
+      runs.push({ ...base, text: match[3] || match[4], italic: true });
+    } else if (match[5]) {
+      runs.push({ ...base, text: match[5], code: true });
+    } else {
+      runs.push({ ...base, text: `${match[6]} (${match[7]})` });
+    }
+    cursor = match.index + match[0].length;
+  }
+
+  if (cursor < text.length) {
+    runs.push({ ...base, text: text.substring(cursor) });
+  }
+  return runs;
+}
+
+function docxParagraph(runs, { indent = 0, spacingBefore = 0, shading = false } = {}) {
+  const properties = [
+    spacingBefore ? `<w:spacing w:before="${spacingBefore}"/>` : '',
+    indent ? `<w:ind w:left="${indent}"/>` : '',
+    shading ? '<w:shd w:val="clear" w:color="auto" w:fill="F6F8FA"/>' : ''
+  ].join('');
+
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs.map(docxRun).join('')}</w:p>`;
+}
+
+function docxRun(run) {
+  const properties = [
+    run.code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' : '',
+    run.bold ? '<w:b/>' : '',
+    run.italic ? '<w:i/>' : '',
+    run.color ? `<w:color w:val="${run.color}"/>` : '',
+    run.size ? `<w:sz w:val="${run.size}"/>` : ''
+  ].join('');
+
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeHtml(String(run.text).replace(XML_INVALID_CHARS, ''))}</w:t></w:r>`;
+}
+
+/* ---------- ZIP container (stored entries, enough for DOCX) ---------- */
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build an uncompressed ZIP archive
+ * @param {{name: string, content: string}[]} files
+ * @returns {Uint8Array}
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    locals.push(new Uint8Array(local.buffer), name, data);
+    centrals.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.ConversationExport = {
+    getExportFilename,
+    conversationToMarkdown,
+    conversationToHtml,
+    conversationToDocx
+  };
+}
@@ -0,0 +1,235 @@
+/* ========== INDEXEDDB STORE UTILITY ========== */
+
+import { Logger } from './logger.js';
+
+/**
+ * Promise-based wrapper around an IndexedDB database
+ */
+export class IndexedDBStore {
+  /**
+   * @param {string} name - Database name
+   * @param {number} version - Database version
+   * @param {object} stores - Object store definitions
+   *   ({ storeName: { keyPath, indexes: { indexName: { keyPath } } } })
+   */
+  constructor(name, version, stores) {
+    this.logger = new Logger('IndexedDBStore');
+    this.name = name;
+    this.version = version;
+    this.stores = stores;
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB can be used in this browser
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open the database, creating missing object stores and indexes
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [storeName, { indexes = {}, ...options }] of Object.entries(this.stores)) {
+          const store = db.objectStoreNames.contains(storeName)
+            ? request.transaction.objectStore(storeName)
+            : db.createObjectStore(storeName, options);
+
+          for (const [indexName, { keyPath, ...indexOptions }] of Object.entries(indexes)) {
+            if (!store.indexNames.contains(indexName)) {
+              store.createIndex(indexName, keyPath, indexOptions);
+            }
+          }
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        // Another tab upgraded the database: release it so the upgrade can proceed
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+
+        this.logger.debug('Database opened:', this.name);
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error(`Database ${this.name} is blocked by another tab`));
+    });
+  }
+
+  /**
+   * Run operations inside a single transaction; resolves with the callback
+   * result once the transaction has committed
+   * @param {string[]} storeNames - Stores involved
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} callback - Receives an object mapping store names to object stores
+   */
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      let result;
+
+      for (const storeName of storeNames) {
+        stores[storeName] = tx.objectStore(storeName);
+      }
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      try {
+        Promise.resolve(callback(stores)).then(value => { result = value; }, (error) => {
+          tx.abort();
+          reject(error);
+        });
+      } catch (error) {
+        tx.abort();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Get a value by key
+   */
+  get(storeName, key) {
+    return this.transaction([storeName], 'readonly', stores =>
+      IndexedDBStore.request(stores[storeName].get(key))
+    );
+  }
+
+  /**
+   * Get every value of a store
+   */
+  getAll(storeName) {
+    return this.transaction([storeName], 'readonly', stores =>
+      IndexedDBStore.request(stores[storeName].getAll())
+    );
+  }
+
+  /**
+   * Count the values of a store, optionally only those matching `filter`
+   */
+  count(storeName, filter = null) {
+    if (!filter) {
+      return this.transaction([storeName], 'readonly', stores =>
+        IndexedDBStore.request(stores[storeName].count())
+      );
+    }
+
+    return this.getPage(storeName, null, { filter }).then(values => values.length);
+  }
+
+  /**
+   * Get a slice of a store ordered by one of its indexes
+   * @param {string} storeName - Store to read
+   * @param {string|null} indexName - Index giving the order (null for key order)
+   * @param {object} options - { offset, limit, direction ('next' or 'prev'),
+   *   filter (values it rejects are neither returned nor counted in offset) }
+   */
+  getPage(storeName, indexName, { offset = 0, limit = Infinity, direction = 'next', filter = null } = {}) {
+    return this.transaction([storeName], 'readonly', stores => new Promise((resolve, reject) => {
+      const source = indexName ? stores[storeName].index(indexName) : stores[storeName];
+      const request = source.openCursor(null, direction);
+      const values = [];
+      let skipped = offset === 0;
+      let toSkip = offset;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || values.length >= limit) {
+          resolve(values);
+          return;
+        }
+
+        // Without a filter the cursor can jump straight to the offset
+        if (!filter && !skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+
+        if (!filter || filter(cursor.value)) {
+          if (filter && toSkip > 0) {
+            toSkip--;
+          } else {
+            values.push(cursor.value);
+          }
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Insert or replace a value
+   */
+  put(storeName, value) {
+    return this.transaction([storeName], 'readwrite', stores => {
+      stores[storeName].put(value);
+    });
+  }
+
+  /**
+   * Delete a value by key
+   */
+  delete(storeName, key) {
+    return this.transaction([storeName], 'readwrite', stores => {
+      stores[storeName].delete(key);
+    });
+  }
+
+  /**
+   * Remove every value of the given stores
+   */
+  clear(storeNames) {
+    return this.transaction(storeNames, 'readwrite', stores => {
+      for (const storeName of storeNames) {
+        stores[storeName].clear();
+      }
+    });
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.IndexedDBStore = IndexedDBStore;
+}
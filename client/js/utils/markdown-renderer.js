@@ -0,0 +1,471 @@
+/* ========== MARKDOWN RENDERER UTILITY ========== */
+
+import { sanitizeHtml, escapeHtml, csvCell } from './sanitizer.js';
+
+// Fenced code blocks, including one still open at the end of a streamed answer
+const FENCED_CODE = /(^|\n)(```|~~~)[\s\S]*?(?:\n\2[^\n]*|$)/g;
+
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:[ \t]*(.+)$/gm;
+const FOOTNOTE_REFERENCE = /\[\^([^\]\s]+)\]/g;
+
+// Swiss statutes cited as "art. 41 CO": name, RS number and Fedlex path (French version)
+const STATUTES = {
+  'CO': { name: 'Code des obligations', rs: '220', path: 'eli/cc/27/317_321_377' },
+  'CC': { name: 'Code civil suisse', rs: '210', path: 'eli/cc/24/233_245_233' },
+  'CP': { name: 'Code pénal suisse', rs: '311.0', path: 'eli/cc/54/757_781_799' },
+  'CPC': { name: 'Code de procédure civile', rs: '272', path: 'eli/cc/2010/262' },
+  'CPP': { name: 'Code de procédure pénale', rs: '312.0', path: 'eli/cc/2010/267' },
+  'LP': { name: 'Loi sur la poursuite pour dettes et la faillite', rs: '281.1', path: 'eli/cc/11/529_488_529' },
+  'LTF': { name: 'Loi sur le Tribunal fédéral', rs: '173.110', path: 'eli/cc/2006/218' },
+  'LDIP': { name: 'Loi sur le droit international privé', rs: '291', path: 'eli/cc/1988/1776_1776_1776' },
+  'Cst': { name: 'Constitution fédérale', rs: '101', path: 'eli/cc/1999/404' }
+};
+
+// French codes, abbreviated ("C. civ.") or in full ("Code civil")
+const FRENCH_CODES = [
+  { pattern: /^(C\.\s*civ\.|Code civil)$/i, name: 'Code civil' },
+  { pattern: /^(C\.\s*pén\.|Code pénal)$/i, name: 'Code pénal' },
+  { pattern: /^(C\.\s*com\.|Code de commerce)$/i, name: 'Code de commerce' },
+  { pattern: /^(C\.\s*trav\.|Code du travail)$/i, name: 'Code du travail' },
+  { pattern: /^(C\.\s*consom\.|Code de la consommation)$/i, name: 'Code de la consommation' }
+];
+
+// Sector 3 CELEX types (EU legislation)
+const CELEX_TYPES = { R: 'Règlement', L: 'Directive', D: 'Décision' };
+
+const ARTICLE = /\b(art\.?|article)\s+(\d+)([a-z]?)((?:\s+(?:al\.|let\.|ch\.)\s*\w+)*)\s+(CO|CC|CP|CPC|CPP|LP|LTF|LDIP|Cst\.?)(?!\w)/gi;
+const LEADING_CASE = /\b(ATF|BGE|DTF)\s+(\d{2,3})\s+(Ia|Ib|IV|V|III|II|I)\s+(\d{1,4})\b/g;
+const FRENCH_ARTICLE = /\b(?:art\.|article)\s+((?:[LRD]\.?\s*)?\d+(?:-\d+)*)\s+(?:du\s+)?(C\.\s*civ\.|C\.\s*pén\.|C\.\s*com\.|C\.\s*trav\.|C\.\s*consom\.|Code civil|Code pénal|Code de commerce|Code du travail|Code de la consommation)(?!\w|\s+suisse)/gi;
+const CELEX = /\bCELEX\s*(?::|n°|no\.?)?\s*([1-9CE])(\d{4})([A-Z]{1,2})(\d{4})\b/g;
+
+// Link of each kind of citation; {placeholders} are filled from the reference
+const CITATION_LINKS = {
+  statute: 'https://www.fedlex.admin.ch/{path}/fr#{anchor}',
+  leadingCase: 'https://www.bger.ch/ext/eurospider/live/fr/php/clir/http/index.php?lang=fr&type=show_document&highlight_docid=atf%3A%2F%2F{volume}-{part}-{page}%3Afr',
+  frenchCode: 'https://www.legifrance.gouv.fr/search/code?tab_selection=code&query={code}%20article%20{article}',
+  celex: 'https://eur-lex.europa.eu/legal-content/FR/TXT/?uri=CELEX:{celex}'
+};
+
+// Citation formats, tried together on each piece of text: each one gives the
+// kind of reference, a description shown on hover and the link values
+const CITATION_FORMATS = [
+  {
+    kind: 'statute',
+    pattern: ARTICLE,
+    describe: (match, prefix, number, letter, details, code) => {
+      const key = Object.keys(STATUTES).find(name => name.toLowerCase() === code.replace('.', '').toLowerCase());
+      const statute = STATUTES[key];
+      return {
+        description: `${statute.name} (RS ${statute.rs}), art. ${number}${letter}`,
+        values: { path: statute.path, anchor: `art_${number}${letter ? `_${letter.toLowerCase()}` : ''}` }
+      };
+    }
+  },
+  {
+    kind: 'leadingCase',
+    pattern: LEADING_CASE,
+    describe: (match, collection, volume, part, page) => ({
+      description: `Arrêt du Tribunal fédéral publié au recueil officiel, vol. ${volume}, partie ${part}, p. ${page}`,
+      values: { volume, part, page }
+    })
+  },
+  {
+    kind: 'frenchCode',
+    pattern: FRENCH_ARTICLE,
+    describe: (match, article, code) => {
+      const name = FRENCH_CODES.find(entry => entry.pattern.test(code.trim())).name;
+      const number = article.replace(/\.?\s+/, '');
+      return {
+        description: `${name} (France), art. ${number}`,
+        values: { code: name, article: number }
+      };
+    }
+  },
+  {
+    kind: 'celex',
+    pattern: CELEX,
+    describe: (match, sector, year, type, number) => {
+      const celex = `${sector}${year}${type}${number}`;
+      const act = sector === '3' && CELEX_TYPES[type]
+        ? `${CELEX_TYPES[type]} (UE) ${year}/${Number(number)}`
+        : `Document de l'Union européenne ${celex}`;
+      return {
+        description: `${act}, EUR-Lex`,
+        values: { celex }
+      };
+    }
+  }
+];
+
+/**
+ * Markdown to HTML for every place an answer is shown: live stream, reload,
+ * greeting and exports all go through the same instance, so an answer looks
+ * the same before and after a refresh.
+ *
+ * Plugins are objects with optional hooks, called in registration order:
+ * - preprocess(markdown, env) -> markdown, before parsing
+ * - postprocess(html, env) -> html, before sanitization
+ * - enhance(element), on the DOM once the HTML is in the page
+ * `env` is a fresh object per render, shared by the hooks of that render.
+ * The HTML is sanitized after the postprocess hooks, so plugin output goes
+ * through the same allow-list as the Markdown itself.
+ */
+export class MarkdownRenderer {
+  /**
+   * @param {object} options - { breaks: single newlines become <br> }
+   */
+  constructor(options = {}) {
+    this.options = { breaks: true, ...options };
+    this.plugins = [];
+  }
+
+  use(plugin) {
+    this.plugins.push(plugin);
+    return this;
+  }
+
+  /**
+   * @param {string} markdown
+   * @returns {string} Sanitized HTML
+   */
+  render(markdown) {
+    const env = {};
+    let source = String(markdown ?? '');
+
+    for (const plugin of this.plugins) {
+      if (plugin.preprocess) source = plugin.preprocess(source, env);
+    }
+
+    let html = marked.parse(source, { gfm: true, breaks: this.options.breaks, async: false });
+
+    for (const plugin of this.plugins) {
+      if (plugin.postprocess) html = plugin.postprocess(html, env);
+    }
+
+    return sanitizeHtml(html);
+  }
+
+  /**
+   * Run the DOM hooks (highlighting, copy buttons) on rendered content.
+   * Safe to call again on the same element: plugins skip what they did.
+   * @param {Element} element
+   */
+  enhance(element) {
+    for (const plugin of this.plugins) {
+      if (plugin.enhance) plugin.enhance(element);
+    }
+  }
+}
+
+/**
+ * Wide tables scroll inside their own container instead of the message.
+ * Once in the page, a click on a header sorts the rows by that column
+ * (numbers as numbers, again to reverse) and a button copies the table as
+ * CSV, in the order shown.
+ */
+export function tablesPlugin() {
+  return {
+    name: 'tables',
+    postprocess: html => html
+      .replace(/<table>/g, '<div class="table-container"><table>')
+      .replace(/<\/table>/g, '</table></div>'),
+    enhance(element) {
+      element.querySelectorAll('.table-container > table').forEach(table => {
+        const container = table.parentElement;
+        if (container.classList.contains('table-enhanced')) return;
+        container.classList.add('table-enhanced');
+
+        table.querySelectorAll('thead th').forEach((header, column) => {
+          header.classList.add('sortable');
+          header.tabIndex = 0;
+          header.setAttribute('aria-sort', 'none');
+          const sort = () => sortTable(table, header, column);
+          header.addEventListener('click', sort);
+          header.addEventListener('keydown', event => {
+            if (event.key === 'Enter' || event.key === ' ') {
+              event.preventDefault();
+              sort();
+            }
+          });
+        });
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'table-copy-button';
+        button.textContent = 'Copier en CSV';
+        button.addEventListener('click', async () => {
+          // Refused when the page is not focused or the permission is denied
+          try {
+            await navigator.clipboard.writeText(tableToCsv(table));
+            button.textContent = 'Copié';
+          } catch {
+            button.textContent = 'Copie impossible';
+          }
+          setTimeout(() => {
+            button.textContent = 'Copier en CSV';
+          }, 2000);
+        });
+        container.before(button);
+      });
+    }
+  };
+}
+
+/**
+ * "- [x] done" items: read-only checkboxes without the list bullet
+ */
+export function taskListsPlugin() {
+  return {
+    name: 'taskLists',
+    postprocess: html => html.replace(/<li>(\s*(?:<p>)?\s*<input[^>]*type="checkbox")/g, '<li class="task-list-item">$1')
+  };
+}
+
+/**
+ * "[^1]" references with "[^1]: text" definitions: the reference becomes a
+ * numbered superscript showing the note on hover, the notes are listed after
+ * the answer. References without a definition are left as typed (the
+ * definition may not be streamed yet).
+ */
+export function footnotesPlugin() {
+  return {
+    name: 'footnotes',
+    preprocess(markdown, env) {
+      const definitions = new Map();
+      const numbers = new Map();
+      env.footnotes = [];
+
+      const text = outsideCode(markdown, segment => segment.replace(FOOTNOTE_DEFINITION, (match, label, note) => {
+        definitions.set(label, note.trim());
+        return '';
+      }));
+
+      return outsideCode(text, segment => segment.replace(FOOTNOTE_REFERENCE, (match, label) => {
+        if (!definitions.has(label)) return match;
+
+        if (!numbers.has(label)) {
+          numbers.set(label, numbers.size + 1);
+          env.footnotes.push(definitions.get(label));
+        }
+        return `<sup class="footnote-ref" title="${escapeHtml(definitions.get(label))}">[${numbers.get(label)}]</sup>`;
+      }));
+    },
+    postprocess(html, env) {
+      if (env.footnotes.length === 0) return html;
+
+      const notes = env.footnotes.map(note => `<li>${marked.parseInline(note)}</li>`).join('');
+      return `${html}<div class="footnotes"><ol>${notes}</ol></div>`;
+    }
+  };
+}
+
+/**
+ * Turns legal references into links: Swiss statute articles ("art. 41 al. 1
+ * CO", Fedlex), leading cases ("ATF 141 III 20", Federal Supreme Court),
+ * French code articles ("art. L. 121-1 C. consom.", Légifrance) and EU
+ * documents ("CELEX 32016R0679", EUR-Lex). Each link carries its kind as a
+ * class (citation-statute, citation-leadingCase, citation-frenchCode,
+ * citation-celex) and a description as its title, for the citation card.
+ * Text already inside a link or code is left alone.
+ * @param {object} options - { citationLinks: link templates by kind,
+ *   overriding CITATION_LINKS }
+ */
+export function citationsPlugin(options = {}) {
+  const links = { ...CITATION_LINKS, ...options.citationLinks };
+
+  return {
+    name: 'citations',
+    postprocess: html => outsideTags(html, text => replaceCitations(text, links))
+  };
+}
+
+/**
+ * Syntax highlighting of code blocks with highlight.js
+ */
+export function highlightPlugin() {
+  return {
+    name: 'highlight',
+    enhance(element) {
+      element.querySelectorAll('pre code').forEach(code => {
+        if (!code.dataset.highlighted) hljs.highlightElement(code);
+      });
+    }
+  };
+}
+
+/**
+ * Copy button on each code block (styled by the .hljs-copy-* rules)
+ */
+export function copyButtonsPlugin() {
+  return {
+    name: 'copyButtons',
+    enhance(element) {
+      element.querySelectorAll('pre > code').forEach(code => {
+        const pre = code.parentElement;
+        if (pre.querySelector('.hljs-copy-button')) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'hljs-copy-button';
+        button.dataset.copied = 'false';
+        button.setAttribute('aria-label', 'Copier le code');
+        button.addEventListener('click', async () => {
+          try {
+            await navigator.clipboard.writeText(code.textContent);
+            button.dataset.copied = 'true';
+          } catch {
+            button.dataset.copied = 'error';
+          }
+          setTimeout(() => {
+            button.dataset.copied = 'false';
+          }, 2000);
+        });
+
+        pre.classList.add('hljs-copy-wrapper');
+        pre.appendChild(button);
+      });
+    }
+  };
+}
+
+/**
+ * The renderer used by the chat, with the plugins enabled in `options`
+ * @param {object} options - { breaks, tables, taskLists, footnotes, citations,
+ *   highlight, copyButtons }; every plugin is on unless set to false. The
+ *   options are also passed to each plugin (citationLinks)
+ * @returns {MarkdownRenderer}
+ */
+export function createMarkdownRenderer(options = {}) {
+  const renderer = new MarkdownRenderer({ breaks: options.breaks ?? true });
+  const plugins = {
+    tables: tablesPlugin,
+    taskLists: taskListsPlugin,
+    footnotes: footnotesPlugin,
+    citations: citationsPlugin,
+    highlight: highlightPlugin,
+    copyButtons: copyButtonsPlugin
+  };
+
+  for (const [name, create] of Object.entries(plugins)) {
+    if (options[name] !== false) renderer.use(create(options));
+  }
+  return renderer;
+}
+
+/**
+ * Link every citation found in a piece of text (HTML-escaped, without tags).
+ * All formats are matched on the original text; where two overlap, the one
+ * starting first wins.
+ */
+function replaceCitations(text, links) {
+  const found = [];
+  for (const format of CITATION_FORMATS) {
+    for (const match of text.matchAll(format.pattern)) {
+      found.push({ format, match });
+    }
+  }
+  found.sort((a, b) => a.match.index - b.match.index);
+
+  let result = '';
+  let cursor = 0;
+  for (const { format, match } of found) {
+    if (match.index < cursor) continue;
+
+    const { description, values } = format.describe(...match);
+    const href = fillTemplate(links[format.kind], values);
+    const attributes = href ? ` href="${escapeHtml(href)}"` : '';
+    result += text.substring(cursor, match.index)
+      + `<a class="citation citation-${format.kind}"${attributes} title="${escapeHtml(description)}">${match[0]}</a>`;
+    cursor = match.index + match[0].length;
+  }
+  return result + text.substring(cursor);
+}
+
+/**
+ * "…/{path}#{anchor}" with the values URL-encoded (slashes kept)
+ * @returns {string|null} null without a template for this kind of citation
+ */
+function fillTemplate(template, values) {
+  if (!template) return null;
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => encodeURI(values[key] ?? ''));
+}
+
+/**
+ * Sort the body rows of `table` by `column`, ascending then descending on
+ * the next click on the same header
+ */
+function sortTable(table, header, column) {
+  const descending = header.getAttribute('aria-sort') === 'ascending';
+  table.querySelectorAll('thead th').forEach(cell => cell.setAttribute('aria-sort', 'none'));
+  header.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+
+  const body = table.tBodies[0];
+  if (!body) return;
+
+  const cellText = row => row.cells[column]?.textContent.trim() ?? '';
+  const rows = [...body.rows].sort((a, b) => {
+    const first = cellText(a);
+    const second = cellText(b);
+    const firstNumber = parseNumber(first);
+    const secondNumber = parseNumber(second);
+    const order = firstNumber !== null && secondNumber !== null
+      ? firstNumber - secondNumber
+      : first.localeCompare(second, 'fr', { numeric: true, sensitivity: 'base' });
+    return descending ? -order : order;
+  });
+  body.append(...rows);
+}
+
+/**
+ * Numbers as written in answers: "1 234,50", "1'234.50", "12 %", "CHF 800.–"
+ * @returns {number|null} null when the cell is not a number
+ */
+function parseNumber(text) {
+  const compact = text.replace(/^(CHF|EUR|USD|Fr\.)\s*/i, '').replace(/[\s\u00a0\u202f'’]/g, '').replace(/[%€$]|\.[–-]$/g, '');
+  if (!/^[-+−]?\d+(?:[.,]\d+)?$/.test(compact)) return null;
+  return Number(compact.replace('−', '-').replace(',', '.'));
+}
+
+/**
+ * The table as CSV, header row first, with the same quoting and formula guard
+ * as the feedback export
+ */
+function tableToCsv(table) {
+  return [...table.rows]
+    .map(row => [...row.cells].map(cell => csvCell(cell.textContent.trim())).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Apply `replace` to the Markdown outside fenced code blocks
+ */
+function outsideCode(markdown, replace) {
+  let result = '';
+  let cursor = 0;
+  for (const match of markdown.matchAll(FENCED_CODE)) {
+    result += replace(markdown.substring(cursor, match.index)) + match[0];
+    cursor = match.index + match[0].length;
+  }
+  return result + replace(markdown.substring(cursor));
+}
+
+/**
+ * Apply `replace` to the text between tags, outside links and code
+ */
+function outsideTags(html, replace) {
+  let skipped = 0;
+  return html.split(/(<[^>]*>)/).map(part => {
+    if (part.startsWith('<')) {
+      const tag = part.match(/^<(\/?)(a|code|pre)\b/i);
+      if (tag) skipped = Math.max(0, skipped + (tag[1] ? -1 : 1));
+      return part;
+    }
+    return skipped > 0 ? part : replace(part);
+  }).join('');
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.MarkdownRenderer = MarkdownRenderer;
+  window.createMarkdownRenderer = createMarkdownRenderer;
+}
@@ -0,0 +1,222 @@
+/* ========== SANITIZER UTILITY ========== */
+
+// Elements kept in rendered content, with the attributes each one may carry
+// (on top of GLOBAL_ATTRIBUTES). Anything else is unwrapped: its text stays,
+// the tag goes.
+const ALLOWED_TAGS = {
+  a: ['href'],
+  abbr: [],
+  b: [],
+  blockquote: [],
+  br: [],
+  caption: [],
+  code: [],
+  dd: [],
+  del: [],
+  details: ['open'],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  kbd: [],
+  li: ['value'],
+  mark: [],
+  ol: ['start', 'reversed'],
+  p: [],
+  pre: [],
+  s: [],
+  small: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align', 'colspan', 'rowspan'],
+  tfoot: [],
+  th: ['align', 'colspan', 'rowspan', 'scope'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: []
+};
+
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'lang', 'dir'];
+
+// Classes kept in `class`: the renderer's own (code highlighting, tables, task
+// lists, footnotes, citations) and the icon font of agent icons. Others could
+// restyle content as page chrome (a fake button, an overlay).
+const ALLOWED_CLASS = /^(?:hljs(?:-[\w-]+)?|language-[\w+#.-]+|table-container|task-list-item|footnote-ref|footnotes|citation(?:-\w+)?|fa|fa-[\w-]+)$/;
+
+// Removed together with their content: executable, embedding or form elements
+const DROPPED_TAGS = new Set([
+  'applet', 'audio', 'base', 'button', 'canvas', 'dialog', 'embed', 'form',
+  'frame', 'frameset', 'head', 'iframe', 'link', 'math', 'meta', 'noembed',
+  'noframes', 'noscript', 'object', 'option', 'plaintext', 'portal', 'script',
+  'select', 'source', 'style', 'svg', 'template', 'textarea', 'title', 'track',
+  'video', 'xmp'
+]);
+
+// Link targets and image sources: relative URLs are always accepted
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const IMAGE_PROTOCOLS = ['http:', 'https:'];
+const DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp);base64,/i;
+
+/**
+ * Escape text for insertion in HTML, including inside quoted attributes
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a URL against the protocols allowed for links or images. Browsers
+ * ignore control characters and whitespace inside a scheme
+ * ("java\tscript:"), so they are stripped before the check.
+ * @param {string} url
+ * @param {string} kind - 'link' or 'image'
+ * @returns {string|null} The URL, or null when it must not be used
+ */
+export function safeUrl(url, kind = 'link') {
+  const value = String(url ?? '').trim();
+  const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  if (!scheme) {
+    // Protocol-relative URLs ("//host") are absolute in disguise
+    return compact.startsWith('//') || compact.startsWith('\\') ? null : value;
+  }
+  if (kind === 'image' && DATA_IMAGE.test(compact)) {
+    return value;
+  }
+
+  const protocols = kind === 'image' ? IMAGE_PROTOCOLS : LINK_PROTOCOLS;
+  return protocols.includes(`${scheme[1].toLowerCase()}:`) ? value : null;
+}
+
+/**
+ * Format a value as a CSV cell (RFC 4180 quoting). Cells starting like a
+ * formula (=, +, -, @, tab, CR) are prefixed with a quote so that a
+ * spreadsheet shows them as text instead of evaluating them.
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Reduce an HTML fragment (Markdown output, stored content) to the
+ * allow-listed tags and attributes before it is inserted in the page.
+ * The fragment is parsed in an inert document: nothing runs and no image
+ * loads while it is walked. Links to other sites open in a new tab without
+ * access to this window (rel="noopener noreferrer").
+ * @param {string} html
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html) {
+  if (!html) return '';
+
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  cleanChildren(parsed.body);
+  return parsed.body.innerHTML;
+}
+
+function cleanChildren(parent) {
+  for (const node of [...parent.childNodes]) {
+    if (node.nodeType === 3) continue;
+
+    if (node.nodeType !== 1) {
+      node.remove();
+      continue;
+    }
+
+    const tag = node.localName;
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      continue;
+    }
+
+    cleanChildren(node);
+
+    if (!Object.hasOwn(ALLOWED_TAGS, tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      node.replaceWith(...node.childNodes);
+      continue;
+    }
+
+    cleanAttributes(node, tag);
+  }
+}
+
+function cleanAttributes(element, tag) {
+  const allowed = ALLOWED_TAGS[tag];
+
+  for (const { name, value } of [...element.attributes]) {
+    if (!GLOBAL_ATTRIBUTES.includes(name) && !allowed.includes(name)) {
+      element.removeAttribute(name);
+    } else if (name === 'class') {
+      const classes = value.split(/\s+/).filter(token => ALLOWED_CLASS.test(token));
+      if (classes.length > 0) {
+        element.setAttribute('class', classes.join(' '));
+      } else {
+        element.removeAttribute('class');
+      }
+    } else if (name === 'href' && safeUrl(value, 'link') === null) {
+      element.removeAttribute(name);
+    } else if (name === 'src' && safeUrl(value, 'image') === null) {
+      element.removeAttribute(name);
+    }
+  }
+
+  if (tag === 'a' && element.hasAttribute('href')) {
+    if (/^https?:/i.test(element.getAttribute('href').trim())) {
+      element.setAttribute('target', '_blank');
+    }
+    element.setAttribute('rel', 'noopener noreferrer');
+  } else if (tag === 'img' && !element.hasAttribute('src')) {
+    element.remove();
+  } else if (tag === 'input') {
+    // Only the read-only checkboxes of Markdown task lists
+    if (element.getAttribute('type') !== 'checkbox') {
+      element.remove();
+    } else {
+      element.setAttribute('disabled', '');
+    }
+  }
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.sanitizeHtml = sanitizeHtml;
+  window.escapeHtml = escapeHtml;
+  window.safeUrl = safeUrl;
+}
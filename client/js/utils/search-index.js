@@ -0,0 +1,250 @@
+/* ========== SEARCH INDEX UTILITY ========== */
+
+import { escapeHtml } from './sanitizer.js';
+
+// Combining marks left by NFD decomposition ("é" -> "e" + U+0301)
+const DIACRITICS = /[\u0300-\u036f]/g;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const SNIPPET_CONTEXT = 60;
+const DEFAULT_LIMIT = 30;
+
+/**
+ * Lowercase and strip accents so that "délai", "Delai" and "DÉLAI" match
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return text
+    .normalize('NFD')
+    .replace(DIACRITICS, '')
+    .toLowerCase()
+    .replace(/œ/g, 'oe')
+    .replace(/æ/g, 'ae');
+}
+
+/**
+ * Split text into normalized terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return normalizeText(text).match(WORD) || [];
+}
+
+/**
+ * In-memory inverted index over conversation messages.
+ *
+ * Documents are keyed by conversation, message id and role (a question and its
+ * answer share the same id). The index is never persisted: it would be a
+ * plaintext copy of the history, so it is rebuilt from the StorageManager after
+ * the history is unlocked and kept up to date message by message.
+ */
+export class SearchIndex {
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Drop every document
+   */
+  clear() {
+    this.terms = new Map();
+    this.documents = new Map();
+    this.conversations = new Map();
+  }
+
+  documentKey(conversationId, messageId, role) {
+    return `${conversationId}\u0000${role}\u0000${messageId}`;
+  }
+
+  /**
+   * Index (or re-index) a single message
+   * @param {string} conversationId
+   * @param {object} message - { id, role, content }
+   * @param {object} meta - Conversation fields shown in results ({ title, lastModified })
+   */
+  addMessage(conversationId, message, meta = {}) {
+    if (message.role !== 'user' && message.role !== 'assistant') return;
+    if (typeof message.content !== 'string') return;
+
+    const key = this.documentKey(conversationId, message.id, message.role);
+    this.removeDocument(key);
+
+    const text = SearchIndex.toPlainText(message.content);
+    const terms = new Set(tokenize(text));
+    if (terms.size === 0) return;
+
+    this.documents.set(key, {
+      conversationId,
+      messageId: message.id,
+      role: message.role,
+      text,
+      terms
+    });
+
+    for (const term of terms) {
+      if (!this.terms.has(term)) {
+        this.terms.set(term, new Set());
+      }
+      this.terms.get(term).add(key);
+    }
+
+    if (!this.conversations.has(conversationId)) {
+      this.conversations.set(conversationId, { keys: new Set(), title: '', lastModified: 0 });
+    }
+    const conversation = this.conversations.get(conversationId);
+    conversation.keys.add(key);
+    this.updateConversation(conversationId, meta);
+  }
+
+  /**
+   * Update the title or last activity shown for a conversation
+   */
+  updateConversation(conversationId, meta = {}) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return;
+
+    if (meta.title !== undefined) conversation.title = meta.title;
+    conversation.lastModified = meta.lastModified || Date.now();
+  }
+
+  /**
+   * Replace every document of a conversation with its given messages
+   * @param {string} conversationId
+   * @param {object[]} messages - Messages of the displayed path, each with an id
+   * @param {object} meta - { title, lastModified }
+   */
+  indexConversation(conversationId, messages, meta = {}) {
+    this.removeConversation(conversationId);
+    messages.forEach((message) => this.addMessage(conversationId, message, meta));
+  }
+
+  removeConversation(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return;
+
+    [...conversation.keys].forEach((key) => this.removeDocument(key));
+    this.conversations.delete(conversationId);
+  }
+
+  removeDocument(key) {
+    const document = this.documents.get(key);
+    if (!document) return;
+
+    for (const term of document.terms) {
+      const keys = this.terms.get(term);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.terms.delete(term);
+      }
+    }
+
+    this.documents.delete(key);
+    this.conversations.get(document.conversationId)?.keys.delete(key);
+  }
+
+  /**
+   * Find messages containing every query term. The last term also matches as a
+   * prefix so results follow the user while typing.
+   * @param {string} query
+   * @param {object} options - { limit }
+   * @returns {object[]} Hits { conversationId, messageId, role, title, snippet }
+   */
+  search(query, options = {}) {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    let matches = null;
+    queryTerms.forEach((queryTerm, index) => {
+      const prefix = index === queryTerms.length - 1;
+      const keys = new Set();
+
+      for (const [term, termKeys] of this.terms) {
+        if (term === queryTerm || (prefix && term.startsWith(queryTerm))) {
+          termKeys.forEach((key) => keys.add(key));
+        }
+      }
+
+      matches = matches === null
+        ? keys
+        : new Set([...matches].filter((key) => keys.has(key)));
+    });
+
+    return [...matches]
+      .map((key) => this.documents.get(key))
+      .map((document) => {
+        const conversation = this.conversations.get(document.conversationId);
+        return {
+          conversationId: document.conversationId,
+          messageId: document.messageId,
+          role: document.role,
+          title: conversation.title,
+          lastModified: conversation.lastModified,
+          snippet: SearchIndex.highlight(document.text, queryTerms)
+        };
+      })
+      .sort((a, b) => b.lastModified - a.lastModified)
+      .slice(0, options.limit || DEFAULT_LIMIT);
+  }
+
+  /**
+   * Strip markup so that snippets and terms only contain readable text
+   */
+  static toPlainText(content) {
+    return content
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/```[^\n]*/g, ' ')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_`#>|~]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build an HTML-escaped excerpt around the first match with <mark> around
+   * every matched word
+   */
+  static highlight(text, queryTerms) {
+    // Offsets in the normalized text are mapped back to the original text,
+    // accent stripping can change the length of a character
+    let normalized = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+      const part = normalizeText(text[i]);
+      normalized += part;
+      for (let j = 0; j < part.length; j++) {
+        offsets.push(i);
+      }
+    }
+
+    const ranges = [];
+    for (const match of normalized.matchAll(WORD)) {
+      const term = queryTerms.find((queryTerm) => match[0].startsWith(queryTerm));
+      if (term) {
+        ranges.push([offsets[match.index], offsets[match.index + term.length - 1] + 1]);
+      }
+    }
+
+    const first = ranges.length > 0 ? ranges[0][0] : 0;
+    const from = Math.max(0, first - SNIPPET_CONTEXT);
+    const to = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+
+    let snippet = from > 0 ? '…' : '';
+    let cursor = from;
+    for (const [start, end] of ranges) {
+      if (start < cursor || end > to) continue;
+      snippet += escapeHtml(text.substring(cursor, start));
+      snippet += `<mark>${escapeHtml(text.substring(start, end))}</mark>`;
+      cursor = end;
+    }
+    snippet += escapeHtml(text.substring(cursor, to));
+
+    return to < text.length ? snippet + '…' : snippet;
+  }
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.SearchIndex = SearchIndex;
+}
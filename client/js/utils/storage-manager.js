@@ -1,6 +1,69 @@
 /* ========== STORAGE MANAGER UTILITY ========== */
 
 import { Logger } from './logger.js';
+import { IndexedDBStore } from './indexeddb-store.js';
+import { compressToUTF16, decompressFromUTF16 } from './compression.js';
+import { generateLocalTitle } from './title-generator.js';
+import { validateConversation, AVATAR_KEYS } from './conversation-schema.js';
+import { CryptoVault, VaultLockedError } from './crypto-vault.js';
+import { csvCell } from './sanitizer.js';
+
+// Version of the conversation record format written by this module.
+// 1: chat.js legacy format { id, title, items }
+// 2: { id, title, messages, schemaVersion, lastModified }, indexed in conversations_list
+const SCHEMA_VERSION = 2;
+const SCHEMA_VERSION_KEY = 'storage_schema_version';
+
+// Prefix of compressed records. JSON records always start with '{', so
+// compressed and plain records can coexist and are both read transparently
+const COMPRESSION_MARKER = 'LZ1:';
+
+// Encryption parameters (salt, iterations, check value) while at-rest
+// encryption is on; the key itself is never stored
+const ENCRYPTION_KEY = 'storage_encryption';
+
+// Raw copy of the records being migrated, removed once the migration succeeded
+const MIGRATION_BACKUP_KEY = 'storage_migration_backup';
+
+// User-defined folders ([{ id, name, createdAt }]), sealed like the records
+// since folder names are usually client matters
+const FOLDERS_KEY = 'conversation_folders';
+
+// IndexedDB layout: conversation metadata, message trees (one entry per
+// conversation) and attachments shared by content between conversations
+const DB_NAME = 'nog-storage';
+const DB_VERSION = 2;
+const DB_STORES = {
+  conversations: { keyPath: 'id', indexes: { lastModified: { keyPath: 'lastModified' } } },
+  messages: { keyPath: 'conversationId' },
+  attachments: { keyPath: 'id' }
+};
+
+// Columns of the feedback quality export (CSV header order)
+const FEEDBACK_EXPORT_COLUMNS = [
+  'timestamp',
+  'conversation_id',
+  'conversation_title',
+  'message_id',
+  'model',
+  'rating',
+  'reason',
+  'comment',
+  'rag_sources',
+  'question',
+  'answer'
+];
+
+/**
+ * Raised when the browser refuses a write because the storage quota is reached
+ */
+export class StorageQuotaError extends Error {
+  constructor(cause, message = 'Storage quota exceeded') {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.cause = cause;
+  }
+}
 
 /**
  * Storage manager for handling local storage operations
@@ -9,15 +72,42 @@ export class StorageManager {
   constructor() {
     this.logger = new Logger('StorageManager');
     this.config = window.ChatConfig?.storage || {
+      backend: 'indexeddb',
       conversationPrefix: 'conversation:',
       maxConversations: 50,
       autoSave: true,
-      compressionEnabled: false
+      compressionEnabled: false,
+      autoLockMinutes: 15
     };
-    
+
+    this.database = null;
+    this.backend = 'localStorage';
+    this.vault = null;
+    this.attachmentCache = new Map();
+    this.changeListeners = new Set();
     this.isInitialized = false;
   }
 
+  /**
+   * Be told of every conversation write or permanent delete (used by the sync layer)
+   * @param {Function} listener - Called with (conversationId, { deleted })
+   * @returns {Function} Unsubscribe
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  notifyChange(conversationId, deleted = false) {
+    for (const listener of this.changeListeners) {
+      try {
+        listener(conversationId, { deleted });
+      } catch (error) {
+        this.logger.error('Change listener failed:', error);
+      }
+    }
+  }
+
   /**
    * Initialize storage manager
    */
@@ -25,14 +115,35 @@ export class StorageManager {
     this.logger.info('Initializing storage manager...');
     
     try {
-      // Test localStorage availability
-      this.testStorageAvailability();
-      
+      await this.openDatabase();
+
+      // localStorage is only mandatory when it is the backend
+      let hasLocalStorage = true;
+      try {
+        this.testStorageAvailability();
+      } catch (error) {
+        if (!this.database) {
+          throw error;
+        }
+        hasLocalStorage = false;
+      }
+
+      if (hasLocalStorage) {
+        this.loadVault();
+
+        // Upgrade records written by older versions
+        await this.migrate();
+
+        if (this.database) {
+          await this.migrateToIndexedDB();
+        }
+      }
+
       // Clean up old conversations if needed
       await this.cleanupOldConversations();
       
       this.isInitialized = true;
-      this.logger.info('Storage manager initialized successfully');
+      this.logger.info(`Storage manager initialized successfully (${this.backend})`);
       
     } catch (error) {
       this.logger.error('Failed to initialize storage manager:', error);
@@ -54,39 +165,450 @@ export class StorageManager {
   }
 
   /**
-   * Save a conversation
+   * Open the IndexedDB backend unless disabled or unsupported
    */
-  async saveConversation(conversationId, conversation) {
+  async openDatabase() {
+    if (this.config.backend === 'localStorage' || !IndexedDBStore.isSupported()) {
+      return;
+    }
+
+    try {
+      const database = new IndexedDBStore(DB_NAME, DB_VERSION, DB_STORES);
+      await database.open();
+
+      this.database = database;
+      this.backend = 'indexeddb';
+
+      // Ask the browser not to evict the history under storage pressure
+      navigator.storage?.persist?.().catch(() => {});
+
+    } catch (error) {
+      this.logger.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  /**
+   * Move `conversation:` records from localStorage into IndexedDB (one-time).
+   * The localStorage records are removed only once every copy is committed, so
+   * an interrupted run is simply replayed on next startup.
+   */
+  async migrateToIndexedDB() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(this.config.conversationPrefix)) {
+        keys.push(key);
+      }
+    }
+
+    if (keys.length === 0) {
+      return;
+    }
+
+    this.logger.info(`Moving ${keys.length} conversations to IndexedDB`);
+
+    const moved = [];
+    try {
+      for (const key of keys) {
+        let record;
+        try {
+          record = this.upgradeRecord(JSON.parse(await this.openRecord(localStorage.getItem(key))));
+        } catch (error) {
+          // Encrypted records are moved on the first startup after an unlock
+          this.logger.error(`Unreadable record left in localStorage: ${key}`, error);
+          continue;
+        }
+
+        await this.writeDatabaseRecord(record);
+        moved.push(key);
+      }
+    } catch (error) {
+      // Keep serving this session from localStorage; the move is retried next time
+      this.logger.error('Failed to move conversations to IndexedDB:', error);
+      this.database = null;
+      this.backend = 'localStorage';
+      return;
+    }
+
+    for (const key of moved) {
+      localStorage.removeItem(key);
+    }
+    localStorage.removeItem('conversations_list');
+
+    this.logger.info(`Moved ${moved.length} conversations to IndexedDB`);
+  }
+
+  /**
+   * Migrate stored conversations to the current schema version.
+   * A rollback copy of the raw records is kept until every record has been
+   * upgraded and read back; an interrupted migration is restored on next startup.
+   */
+  async migrate() {
+    const storedVersion = parseInt(localStorage.getItem(SCHEMA_VERSION_KEY), 10) || 1;
+    const pendingBackup = localStorage.getItem(MIGRATION_BACKUP_KEY);
+
+    if (storedVersion >= SCHEMA_VERSION && !pendingBackup) {
+      return;
+    }
+
+    if (pendingBackup) {
+      this.logger.warn('Previous migration did not complete, restoring rollback copy');
+      this.restoreBackup(JSON.parse(pendingBackup));
+    }
+
+    const records = {};
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(this.config.conversationPrefix)) {
+        records[key] = localStorage.getItem(key);
+      }
+    }
+
+    const backup = {
+      fromVersion: storedVersion,
+      createdAt: new Date().toISOString(),
+      records
+    };
+
+    // Without a rollback copy nothing is touched; records are still upgraded on read
+    try {
+      localStorage.setItem(MIGRATION_BACKUP_KEY, JSON.stringify(backup));
+    } catch (error) {
+      this.logger.error('Cannot write migration rollback copy, migration postponed:', error);
+      return;
+    }
+
+    this.logger.info(`Migrating ${Object.keys(records).length} conversations from schema v${storedVersion} to v${SCHEMA_VERSION}`);
+
+    try {
+      const list = [];
+
+      for (const [key, raw] of Object.entries(records)) {
+        const record = this.upgradeRecord(this.parseRecord(raw));
+
+        localStorage.setItem(key, this.serializeRecord(record));
+
+        if (JSON.stringify(this.parseRecord(localStorage.getItem(key))) !== JSON.stringify(record)) {
+          throw new Error(`Migrated record could not be read back: ${key}`);
+        }
+
+        list.push(this.toListEntry(record));
+      }
+
+      localStorage.setItem('conversations_list', JSON.stringify(list));
+      localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+      localStorage.removeItem(MIGRATION_BACKUP_KEY);
+
+      this.logger.info('Migration completed');
+
+    } catch (error) {
+      this.logger.error('Migration failed, rolling back:', error);
+      this.restoreBackup(backup);
+    }
+  }
+
+  /**
+   * Put back the raw records of a rollback copy (the copy itself is kept)
+   */
+  restoreBackup(backup) {
+    for (const [key, raw] of Object.entries(backup.records || {})) {
+      localStorage.setItem(key, raw);
+    }
+  }
+
+  /**
+   * Upgrade a single conversation record to the current schema version
+   */
+  upgradeRecord(record) {
+    if (!record || (record.schemaVersion || 1) >= SCHEMA_VERSION) {
+      return record;
+    }
+
+    // v1 -> v2: items become messages; branch nodes, variants and feedback are kept as-is
+    const { items, ...rest } = record;
+
+    return {
+      ...rest,
+      messages: record.messages || items || [],
+      schemaVersion: SCHEMA_VERSION,
+      lastModified: record.lastModified || Date.now()
+    };
+  }
+
+  /**
+   * Parse a raw stored record, whether compressed or not
+   */
+  parseRecord(raw) {
+    return JSON.parse(this.decompress(raw));
+  }
+
+  /**
+   * Serialize a record, compressed when compressionEnabled is set
+   */
+  serializeRecord(record) {
+    const serialized = JSON.stringify(record);
+    return this.config.compressionEnabled ? this.compress(serialized) : serialized;
+  }
+
+  /**
+   * Serialize-side of every stored payload: compression, then encryption when on
+   * @param {string} json - Serialized data
+   * @param {CryptoVault|null} vault - Vault to encrypt with (defaults to the current one)
+   */
+  async sealRecord(json, vault = this.vault) {
+    const data = this.config.compressionEnabled ? this.compress(json) : json;
+    return vault ? vault.encrypt(data) : data;
+  }
+
+  /**
+   * Read-side of sealRecord; plain, compressed and encrypted payloads are all accepted
+   */
+  async openRecord(stored, vault = this.vault) {
+    if (CryptoVault.isEncrypted(stored)) {
+      if (!vault || !vault.isUnlocked()) {
+        throw new VaultLockedError();
+      }
+      stored = await vault.decrypt(stored);
+    }
+
+    return this.decompress(stored);
+  }
+
+  /**
+   * Whether an error is the browser refusing a write for lack of space
+   */
+  isQuotaError(error) {
+    return Boolean(error) && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22
+    );
+  }
+
+  /**
+   * localStorage.setItem that frees the debug logs and retries once when full
+   */
+  setLocalItem(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      if (!this.isQuotaError(error)) {
+        throw error;
+      }
+
+      this.logger.warn('localStorage is full, dropping stored debug logs');
+      Logger.clearLogs();
+
+      try {
+        localStorage.setItem(key, value);
+      } catch (retryError) {
+        throw this.isQuotaError(retryError) ? new StorageQuotaError(retryError) : retryError;
+      }
+    }
+  }
+
+  /**
+   * Save a conversation; resolves with its conversations list entry
+   * @param {string} conversationId
+   * @param {object} conversation - Record to store
+   * @param {object} options - { touch: false keeps lastModified, for metadata
+   *   changes (rename, pin, archive) that are not conversation activity }
+   */
+  async saveConversation(conversationId, conversation, { touch = true } = {}) {
     try {
-      const key = this.getConversationKey(conversationId);
       const data = {
         ...conversation,
         id: conversationId,
-        lastModified: Date.now()
+        schemaVersion: SCHEMA_VERSION,
+        lastModified: touch || !conversation.lastModified ? Date.now() : conversation.lastModified
       };
 
-      const serialized = this.config.compressionEnabled 
-        ? this.compress(JSON.stringify(data))
-        : JSON.stringify(data);
+      if (this.database) {
+        await this.writeDatabaseRecord(data);
+      } else {
+        this.setLocalItem(this.getConversationKey(conversationId), await this.sealRecord(JSON.stringify(data)));
+
+        // Update conversation list
+        await this.updateConversationsList(conversationId, data);
+      }
 
-      localStorage.setItem(key, serialized);
-      
-      // Update conversation list
-      await this.updateConversationsList(conversationId, conversation);
-      
       this.logger.debug('Conversation saved:', conversationId);
-      
+      this.notifyChange(conversationId);
+      return this.toListEntry(data);
+
     } catch (error) {
       this.logger.error('Failed to save conversation:', error);
-      throw error;
+      throw this.isQuotaError(error) ? new StorageQuotaError(error) : error;
     }
   }
 
+  /**
+   * Write a full record to IndexedDB in a single transaction
+   */
+  async writeDatabaseRecord(record) {
+    const { messages = [], ...meta } = record;
+    const attachments = new Map();
+    // Avatar keys stay inline; markup saved by earlier versions is shared as an attachment
+    const tree = this.mapMessageImages(messages, image =>
+      typeof image === 'string' && !AVATAR_KEYS.includes(image) ? this.toAttachment(image, attachments) : image
+    );
+
+    // Sealing is asynchronous and must be done before the transaction opens
+    const metaEntry = await this.buildMetaEntry({ ...meta, messageCount: messages.length });
+    const messagesEntry = await this.buildMessagesEntry(record.id, tree);
+
+    await this.database.transaction(['conversations', 'messages', 'attachments'], 'readwrite', stores => {
+      stores.conversations.put(metaEntry);
+      stores.messages.put(messagesEntry);
+
+      for (const [id, data] of attachments) {
+        if (!this.attachmentCache.has(id)) {
+          stores.attachments.put({ id, data });
+        }
+      }
+    });
+
+    for (const [id, data] of attachments) {
+      this.attachmentCache.set(id, data);
+    }
+  }
+
+  /**
+   * Read a full record back from IndexedDB
+   */
+  async readDatabaseRecord(conversationId) {
+    const [meta, entry] = await this.database.transaction(['conversations', 'messages'], 'readonly', stores =>
+      Promise.all([
+        IndexedDBStore.request(stores.conversations.get(conversationId)),
+        IndexedDBStore.request(stores.messages.get(conversationId))
+      ])
+    );
+
+    if (!meta) {
+      return null;
+    }
+
+    const messages = await this.openMessagesEntry(entry);
+    const missing = new Set();
+    this.mapMessageImages(messages, image => {
+      if (image && image.attachment && !this.attachmentCache.has(image.attachment)) {
+        missing.add(image.attachment);
+      }
+      return image;
+    });
+
+    if (missing.size > 0) {
+      const loaded = await this.database.transaction(['attachments'], 'readonly', stores =>
+        Promise.all([...missing].map(id => IndexedDBStore.request(stores.attachments.get(id))))
+      );
+      for (const attachment of loaded) {
+        if (attachment) {
+          this.attachmentCache.set(attachment.id, attachment.data);
+        }
+      }
+    }
+
+    const { messageCount, ...conversation } = await this.openMetaEntry(meta);
+    return {
+      ...conversation,
+      messages: this.mapMessageImages(messages, image =>
+        image && image.attachment ? this.attachmentCache.get(image.attachment) || '' : image
+      )
+    };
+  }
+
+  /**
+   * Build the `conversations` store entry; when encrypted only the id and the
+   * fields needed to sort and count stay readable
+   */
+  async buildMetaEntry(meta, vault = this.vault) {
+    if (!vault) {
+      return meta;
+    }
+
+    // Flags stay readable so the sidebar can be paged without decrypting
+    return {
+      id: meta.id,
+      lastModified: meta.lastModified,
+      messageCount: meta.messageCount,
+      pinned: meta.pinned,
+      archived: meta.archived,
+      deletedAt: meta.deletedAt,
+      sealed: await this.sealRecord(JSON.stringify(meta), vault)
+    };
+  }
+
+  async openMetaEntry(entry, vault = this.vault) {
+    return entry.sealed ? JSON.parse(await this.openRecord(entry.sealed, vault)) : entry;
+  }
+
+  /**
+   * Build the `messages` store entry; sealed as a string when compressed or encrypted.
+   * Attachments (avatar markup shared by every conversation) stay in clear.
+   */
+  async buildMessagesEntry(conversationId, tree, vault = this.vault) {
+    if (!vault && !this.config.compressionEnabled) {
+      return { conversationId, messages: tree };
+    }
+
+    return { conversationId, data: await this.sealRecord(JSON.stringify(tree), vault) };
+  }
+
+  async openMessagesEntry(entry, vault = this.vault) {
+    if (!entry) {
+      return [];
+    }
+
+    return entry.data ? JSON.parse(await this.openRecord(entry.data, vault)) : entry.messages;
+  }
+
+  /**
+   * Copy a message tree, transforming the `image` of every item and variant
+   */
+  mapMessageImages(items, transform) {
+    return items.map(item => {
+      if (item.role === 'branch') {
+        return { ...item, branches: item.branches.map(branch => this.mapMessageImages(branch, transform)) };
+      }
+
+      const mapped = { ...item };
+      if ('image' in item) {
+        mapped.image = transform(item.image);
+      }
+      if (Array.isArray(item.variants)) {
+        mapped.variants = item.variants.map(variant =>
+          'image' in variant ? { ...variant, image: transform(variant.image) } : variant
+        );
+      }
+      return mapped;
+    });
+  }
+
+  /**
+   * Register an attachment (identified by a hash of its content) and return its reference
+   */
+  toAttachment(data, attachments) {
+    // FNV-1a, the length suffix makes accidental collisions practically impossible
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < data.length; i++) {
+      hash ^= data.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    const id = `att-${hash.toString(16)}-${data.length}`;
+    attachments.set(id, data);
+    return { attachment: id };
+  }
+
   /**
    * Get a conversation
    */
   async getConversation(conversationId) {
     try {
+      if (this.database) {
+        return this.upgradeRecord(await this.readDatabaseRecord(conversationId));
+      }
+
       const key = this.getConversationKey(conversationId);
       const data = localStorage.getItem(key);
       
@@ -94,56 +616,264 @@ export class StorageManager {
         return null;
       }
 
-      const parsed = this.config.compressionEnabled 
-        ? JSON.parse(this.decompress(data))
-        : JSON.parse(data);
+      return this.upgradeRecord(JSON.parse(await this.openRecord(data)));
 
-      return parsed;
-      
     } catch (error) {
       this.logger.error('Failed to get conversation:', error);
+
+      // A locked store must not look empty: callers would overwrite the record
+      if (error instanceof VaultLockedError) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Delete a conversation
+   */
+  async deleteConversation(conversationId) {
+    try {
+      if (this.database) {
+        // Attachments are shared between conversations and kept
+        await this.database.transaction(['conversations', 'messages'], 'readwrite', stores => {
+          stores.conversations.delete(conversationId);
+          stores.messages.delete(conversationId);
+        });
+      } else {
+        const key = this.getConversationKey(conversationId);
+        localStorage.removeItem(key);
+
+        // Update conversation list
+        await this.removeFromConversationsList(conversationId);
+      }
+            
+      this.logger.debug('Conversation deleted:', conversationId);
+      this.notifyChange(conversationId, true);
+      
+    } catch (error) {
+      this.logger.error('Failed to delete conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all conversations
+   */
+  async getConversations() {
+    try {
+      let list;
+
+      if (this.database) {
+        const metas = await this.database.getAll('conversations');
+        list = await Promise.all(metas.map(async meta => this.toListEntry(await this.openMetaEntry(meta))));
+      } else {
+        const listData = localStorage.getItem('conversations_list');
+        if (!listData) {
+          return [];
+        }
+
+        // Entries written by older versions lack the newer fields
+        list = JSON.parse(await this.openRecord(listData)).map(entry => this.toListEntry(entry));
+      }
+
+      // Sort by last modified (newest first)
+      return list.sort((a, b) => b.lastModified - a.lastModified);
+
+    } catch (error) {
+      this.logger.error('Failed to get conversations list:', error);
+
+      if (error instanceof VaultLockedError) {
+        throw error;
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Get one page of the conversations list: pinned conversations first, then
+   * the most recently active
+   * @param {number} limit - Maximum number of entries
+   * @param {number} offset - Number of entries to skip
+   * @param {object} options - { archived: true lists archived conversations only,
+   *   deleted: true lists the trash bin (archived is then ignored),
+   *   folderId: only this folder (null: conversations outside any folder),
+   *   tags: only conversations carrying every one of these tags }
+   * @returns {Promise<{conversations: object[], total: number}>}
+   */
+  async getConversationsPage(limit, offset = 0, { archived = false, deleted = false, folderId, tags = [] } = {}) {
+    const filtered = folderId !== undefined || tags.length > 0;
+    const inView = entry => Boolean(entry.deletedAt) === deleted &&
+      (deleted || Boolean(entry.archived) === archived) && (!filtered || (
+      (folderId === undefined || entry.folderId === folderId) &&
+      tags.every(tag => entry.tags.includes(tag))
+    ));
+
+    try {
+      // Folder and tags are sealed with the record when encryption is on, so
+      // filtered views read the whole (small) list instead of a cursor page
+      if (this.database && !filtered) {
+        const pinned = meta => inView(meta) && Boolean(meta.pinned);
+        const unpinned = meta => inView(meta) && !meta.pinned;
+        const page = (filter, pageOffset, pageLimit) =>
+          this.database.getPage('conversations', 'lastModified', { offset: pageOffset, limit: pageLimit, direction: 'prev', filter });
+
+        const [pinnedCount, unpinnedCount] = await Promise.all([
+          this.database.count('conversations', pinned),
+          this.database.count('conversations', unpinned)
+        ]);
+
+        let metas = offset < pinnedCount ? await page(pinned, offset, limit) : [];
+        if (metas.length < limit) {
+          metas = metas.concat(await page(unpinned, Math.max(0, offset - pinnedCount), limit - metas.length));
+        }
+        const conversations = await Promise.all(metas.map(async meta => this.toListEntry(await this.openMetaEntry(meta))));
+
+        return { conversations, total: pinnedCount + unpinnedCount };
+      }
+
+      const list = (await this.getConversations())
+        .filter(inView)
+        .sort((a, b) => Number(b.pinned) - Number(a.pinned));
+      return { conversations: list.slice(offset, offset + limit), total: list.length };
+
+    } catch (error) {
+      this.logger.error('Failed to get conversations page:', error);
+
+      if (error instanceof VaultLockedError) {
+        throw error;
+      }
+      return { conversations: [], total: 0 };
+    }
+  }
+
+  /**
+   * Move a conversation to the trash bin; it stays restorable until purged
+   * @returns {Promise<object|null>} Updated list entry
+   */
+  async trashConversation(conversationId) {
+    return this.setDeletedAt(conversationId, Date.now());
+  }
+
+  /**
+   * Bring a conversation back from the trash bin
+   * @returns {Promise<object|null>} Updated list entry
+   */
+  async restoreConversation(conversationId) {
+    return this.setDeletedAt(conversationId, null);
+  }
+
+  async setDeletedAt(conversationId, deletedAt) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
       return null;
     }
+
+    return this.saveConversation(conversationId, { ...conversation, deletedAt }, { touch: false });
+  }
+
+  /**
+   * Permanently delete conversations trashed more than `retentionDays` ago
+   * @param {number} retentionDays - 0 keeps the trash forever
+   * @returns {Promise<number>} Number of purged conversations
+   */
+  async purgeTrash(retentionDays) {
+    if (!retentionDays) {
+      return 0;
+    }
+
+    const limit = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expired = (await this.getConversations()).filter(entry => entry.deletedAt && entry.deletedAt < limit);
+
+    for (const entry of expired) {
+      await this.deleteConversation(entry.id);
+    }
+
+    if (expired.length > 0) {
+      this.logger.info(`Purged ${expired.length} conversations from the trash`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Move every conversation outside the trash bin to it
+   * @returns {Promise<string[]>} Ids of the trashed conversations, to undo the move
+   */
+  async trashAllConversations() {
+    const ids = [];
+    for (const entry of await this.getConversations()) {
+      if (!entry.deletedAt) {
+        await this.trashConversation(entry.id);
+        ids.push(entry.id);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Permanently delete every conversation of the trash bin
+   */
+  async emptyTrash() {
+    const conversations = await this.getConversations();
+    if (conversations.every(entry => entry.deletedAt)) {
+      // Nothing left to share attachments with
+      await this.clearAllConversations();
+      return;
+    }
+
+    for (const entry of conversations) {
+      if (entry.deletedAt) {
+        await this.deleteConversation(entry.id);
+      }
+    }
+  }
+
+  /**
+   * Get user-defined folders
+   * @returns {Promise<object[]>} Folders ({ id, name, createdAt }) in creation order
+   */
+  async getFolders() {
+    const stored = localStorage.getItem(FOLDERS_KEY);
+    return stored ? JSON.parse(await this.openRecord(stored)) : [];
+  }
+
+  async saveFolders(folders) {
+    this.setLocalItem(FOLDERS_KEY, await this.sealRecord(JSON.stringify(folders)));
+  }
+
+  /**
+   * Create a folder
+   * @param {string} name - Folder name
+   * @returns {Promise<object>} The new folder
+   */
+  async createFolder(name) {
+    const folder = {
+      id: `folder-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+      name,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.saveFolders([...await this.getFolders(), folder]);
+    return folder;
   }
 
-  /**
-   * Delete a conversation
-   */
-  async deleteConversation(conversationId) {
-    try {
-      const key = this.getConversationKey(conversationId);
-      localStorage.removeItem(key);
-      
-      // Update conversation list
-      await this.removeFromConversationsList(conversationId);
-      
-      this.logger.debug('Conversation deleted:', conversationId);
-      
-    } catch (error) {
-      this.logger.error('Failed to delete conversation:', error);
-      throw error;
-    }
+  async renameFolder(folderId, name) {
+    const folders = await this.getFolders();
+    await this.saveFolders(folders.map(folder => folder.id === folderId ? { ...folder, name } : folder));
   }
 
   /**
-   * Get all conversations
+   * Delete a folder; its conversations are kept and moved out of it
    */
-  async getConversations() {
-    try {
-      const listData = localStorage.getItem('conversations_list');
-      if (!listData) {
-        return [];
+  async deleteFolder(folderId) {
+    for (const entry of await this.getConversations()) {
+      if (entry.folderId === folderId) {
+        const conversation = await this.getConversation(entry.id);
+        await this.saveConversation(entry.id, { ...conversation, folderId: null }, { touch: false });
       }
-
-      const list = JSON.parse(listData);
-      
-      // Sort by last modified (newest first)
-      return list.sort((a, b) => b.lastModified - a.lastModified);
-      
-    } catch (error) {
-      this.logger.error('Failed to get conversations list:', error);
-      return [];
     }
+
+    await this.saveFolders((await this.getFolders()).filter(folder => folder.id !== folderId));
   }
 
   /**
@@ -151,18 +881,29 @@ export class StorageManager {
    */
   async clearAllConversations() {
     try {
-      const conversations = await this.getConversations();
-      
-      // Remove individual conversation data
-      for (const conv of conversations) {
-        const key = this.getConversationKey(conv.id);
-        localStorage.removeItem(key);
+      // Sealed entries cannot be listed once the key is gone (forgotten passphrase)
+      const ids = this.changeListeners.size > 0
+        ? await this.getConversations().then(list => list.map(entry => entry.id), () => [])
+        : [];
+
+      if (this.database) {
+        await this.database.clear(['conversations', 'messages', 'attachments']);
+        this.attachmentCache.clear();
+      } else {
+        const conversations = await this.getConversations();
+
+        // Remove individual conversation data
+        for (const conv of conversations) {
+          const key = this.getConversationKey(conv.id);
+          localStorage.removeItem(key);
+        }
       }
-      
+
       // Clear conversations list
       localStorage.removeItem('conversations_list');
       localStorage.removeItem('current_conversation_id');
       
+      ids.forEach(id => this.notifyChange(id, true));
       this.logger.info('All conversations cleared');
       
     } catch (error) {
@@ -205,24 +946,32 @@ export class StorageManager {
       const filtered = conversations.filter(c => c.id !== conversationId);
       
       // Add new/updated entry
-      const title = this.generateConversationTitle(conversation);
-      filtered.unshift({
-        id: conversationId,
-        title,
-        lastModified: Date.now(),
-        messageCount: conversation.messages ? conversation.messages.length : 0
-      });
-      
-      // Keep only max conversations
-      const limited = filtered.slice(0, this.config.maxConversations);
-      
-      localStorage.setItem('conversations_list', JSON.stringify(limited));
+      filtered.unshift(this.toListEntry({ ...conversation, id: conversationId }));
+
+      localStorage.setItem('conversations_list', await this.sealRecord(JSON.stringify(filtered)));
       
     } catch (error) {
       this.logger.error('Failed to update conversations list:', error);
     }
   }
 
+  /**
+   * Build the conversations_list entry of a record
+   */
+  toListEntry(conversation) {
+    return {
+      id: conversation.id,
+      title: conversation.title || this.generateConversationTitle(conversation),
+      lastModified: conversation.lastModified || Date.now(),
+      messageCount: conversation.messages ? conversation.messages.length : conversation.messageCount || 0,
+      pinned: Boolean(conversation.pinned),
+      archived: Boolean(conversation.archived),
+      folderId: conversation.folderId || null,
+      tags: Array.isArray(conversation.tags) ? conversation.tags : [],
+      deletedAt: conversation.deletedAt || null
+    };
+  }
+
   /**
    * Remove from conversations list
    */
@@ -230,7 +979,7 @@ export class StorageManager {
     try {
       const conversations = await this.getConversations();
       const filtered = conversations.filter(c => c.id !== conversationId);
-      localStorage.setItem('conversations_list', JSON.stringify(filtered));
+      localStorage.setItem('conversations_list', await this.sealRecord(JSON.stringify(filtered)));
     } catch (error) {
       this.logger.error('Failed to remove from conversations list:', error);
     }
@@ -240,18 +989,9 @@ export class StorageManager {
    * Generate conversation title from first message
    */
   generateConversationTitle(conversation) {
-    if (!conversation.messages || conversation.messages.length === 0) {
-      return 'New Conversation';
-    }
+    const firstUserMessage = (conversation.messages || []).find(m => m.role === 'user');
 
-    const firstUserMessage = conversation.messages.find(m => m.role === 'user');
-    if (firstUserMessage && firstUserMessage.content) {
-      // Take first 50 characters
-      return firstUserMessage.content.substring(0, 50).trim() + 
-             (firstUserMessage.content.length > 50 ? '...' : '');
-    }
-
-    return 'New Conversation';
+    return generateLocalTitle(firstUserMessage ? firstUserMessage.content : null);
   }
 
   /**
@@ -261,7 +1001,8 @@ export class StorageManager {
     try {
       const conversations = await this.getConversations();
       
-      if (conversations.length > this.config.maxConversations) {
+      // maxConversations: 0 keeps every conversation
+      if (this.config.maxConversations && conversations.length > this.config.maxConversations) {
         const toDelete = conversations.slice(this.config.maxConversations);
         
         for (const conv of toDelete) {
@@ -276,34 +1017,251 @@ export class StorageManager {
   }
 
   /**
-   * Get conversation storage key
+   * Load encryption parameters; the vault starts locked
    */
-  getConversationKey(conversationId) {
-    return `${this.config.conversationPrefix}${conversationId}`;
+  loadVault() {
+    const params = localStorage.getItem(ENCRYPTION_KEY);
+    this.vault = params ? new CryptoVault(JSON.parse(params)) : null;
+  }
+
+  /**
+   * Whether at-rest encryption is on
+   */
+  isEncryptionEnabled() {
+    return this.vault !== null;
+  }
+
+  /**
+   * Whether encrypted records are unreadable until unlock() is called
+   */
+  isLocked() {
+    return this.vault !== null && !this.vault.isUnlocked();
+  }
+
+  /**
+   * Unlock encrypted records; throws WrongPassphraseError on mismatch
+   */
+  async unlock(passphrase) {
+    if (!this.vault) {
+      return;
+    }
+
+    await this.vault.unlock(passphrase);
+
+    // Records written to localStorage before IndexedDB was available could not be moved while locked
+    if (this.database) {
+      await this.migrateToIndexedDB();
+    }
+
+    this.logger.info('Storage unlocked');
+  }
+
+  /**
+   * Forget the key until the next unlock
+   */
+  lock() {
+    if (this.vault) {
+      this.vault.lock();
+      this.logger.info('Storage locked');
+    }
+  }
+
+  /**
+   * Turn at-rest encryption on and encrypt every stored conversation
+   */
+  async enableEncryption(passphrase) {
+    if (this.vault) {
+      throw new Error('Encryption is already enabled');
+    }
+    if (!CryptoVault.isSupported()) {
+      throw new Error('WebCrypto is not available');
+    }
+
+    const vault = await CryptoVault.create(passphrase);
+    await this.resealAll(null, vault);
+    this.vault = vault;
+
+    this.logger.info('At-rest encryption enabled');
+  }
+
+  /**
+   * Re-encrypt every stored conversation with a new passphrase
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    if (!this.vault) {
+      throw new Error('Encryption is not enabled');
+    }
+
+    const current = new CryptoVault(this.vault.params);
+    await current.unlock(currentPassphrase);
+
+    const vault = await CryptoVault.create(newPassphrase);
+    await this.resealAll(current, vault);
+    this.vault = vault;
+
+    this.logger.info('Passphrase changed, records re-encrypted');
+  }
+
+  /**
+   * Turn at-rest encryption off and store every conversation in clear again
+   */
+  async disableEncryption(passphrase) {
+    if (!this.vault) {
+      return;
+    }
+
+    const current = new CryptoVault(this.vault.params);
+    await current.unlock(passphrase);
+
+    await this.resealAll(current, null);
+    this.vault = null;
+
+    this.logger.info('At-rest encryption disabled');
   }
 
   /**
-   * Get storage usage info
+   * Forgotten passphrase: encrypted conversations cannot be recovered, drop them
    */
-  getStorageInfo() {
+  async resetEncryptedStorage() {
+    const vault = this.vault;
+    this.vault = null;
+
     try {
-      let totalSize = 0;
-      let conversationCount = 0;
-      
+      if (this.database) {
+        await this.clearAllConversations();
+      }
+
+      const keys = [];
       for (let i = 0; i < localStorage.length; i++) {
         const key = localStorage.key(i);
         if (key.startsWith(this.config.conversationPrefix)) {
-          const value = localStorage.getItem(key);
-          totalSize += key.length + (value ? value.length : 0);
-          conversationCount++;
+          keys.push(key);
         }
       }
-      
+      keys.forEach(key => localStorage.removeItem(key));
+      localStorage.removeItem('conversations_list');
+      localStorage.removeItem(FOLDERS_KEY);
+      localStorage.removeItem(ENCRYPTION_KEY);
+
+      this.logger.warn('Encrypted storage reset');
+
+    } catch (error) {
+      this.vault = vault;
+      this.logger.error('Failed to reset encrypted storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt every stored payload with `from` and seal it again with `to`
+   * (null = clear). New values are all computed before the first write.
+   */
+  async resealAll(from, to) {
+    if (this.database) {
+      const metas = [];
+      for (const meta of await this.database.getAll('conversations')) {
+        metas.push(await this.buildMetaEntry(await this.openMetaEntry(meta, from), to));
+      }
+
+      const entries = [];
+      for (const entry of await this.database.getAll('messages')) {
+        const tree = await this.openMessagesEntry(entry, from);
+        entries.push(await this.buildMessagesEntry(entry.conversationId, tree, to));
+      }
+
+      // One transaction: either every record uses the new key or none does
+      await this.database.transaction(['conversations', 'messages'], 'readwrite', stores => {
+        metas.forEach(meta => stores.conversations.put(meta));
+        entries.forEach(entry => stores.messages.put(entry));
+      });
+    }
+
+    const updates = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(this.config.conversationPrefix) || key === 'conversations_list' || key === FOLDERS_KEY) {
+        const json = await this.openRecord(localStorage.getItem(key), from);
+        updates.push([key, await this.sealRecord(json, to)]);
+      }
+    }
+
+    for (const [key, value] of updates) {
+      this.setLocalItem(key, value);
+    }
+
+    if (to) {
+      localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(to.params));
+    } else {
+      localStorage.removeItem(ENCRYPTION_KEY);
+    }
+  }
+
+  /**
+   * Get conversation storage key
+   */
+  getConversationKey(conversationId) {
+    return `${this.config.conversationPrefix}${conversationId}`;
+  }
+
+  /**
+   * Get storage usage info. Sizes are in bytes of UTF-16 text: rawSize is the
+   * plain JSON (null while locked), storedSize what is actually written.
+   */
+  async getStorageInfo() {
+    try {
+      const conversations = [];
+      let usage = null;
+      let quota = null;
+
+      const measure = async (id, stored) => {
+        const encrypted = CryptoVault.isEncrypted(stored);
+        let inner = stored;
+        if (encrypted) {
+          inner = this.isLocked() ? null : await this.vault.decrypt(stored);
+        }
+
+        conversations.push({
+          id,
+          rawSize: inner === null ? null : this.decompress(inner).length * 2,
+          storedSize: stored.length * 2,
+          compressed: inner === null ? null : this.isCompressed(inner),
+          encrypted
+        });
+      };
+
+      if (this.database) {
+        for (const entry of await this.database.getAll('messages')) {
+          await measure(entry.conversationId, entry.data || JSON.stringify(entry.messages));
+        }
+
+        // Origin-wide figures, attachments and metadata included
+        const estimate = await navigator.storage?.estimate?.();
+        usage = estimate ? estimate.usage : null;
+        quota = estimate ? estimate.quota : null;
+      } else {
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          if (key.startsWith(this.config.conversationPrefix)) {
+            await measure(key.substring(this.config.conversationPrefix.length), localStorage.getItem(key) || '');
+          }
+        }
+      }
+
+      const rawSize = conversations.reduce((sum, conversation) => sum + conversation.rawSize, 0);
+      const storedSize = conversations.reduce((sum, conversation) => sum + conversation.storedSize, 0);
+
       return {
-        totalSize,
-        conversationCount,
+        backend: this.backend,
+        totalSize: storedSize,
+        rawSize,
+        storedSize,
+        usage,
+        quota,
+        conversations,
+        conversationCount: conversations.length,
         maxConversations: this.config.maxConversations,
-        compressionEnabled: this.config.compressionEnabled
+        compressionEnabled: this.config.compressionEnabled,
+        encryptionEnabled: this.isEncryptionEnabled()
       };
       
     } catch (error) {
@@ -313,27 +1271,40 @@ export class StorageManager {
   }
 
   /**
-   * Simple compression (if enabled)
+   * Compress a serialized record (LZ, UTF-16 safe) and tag it with the marker
    */
   compress(data) {
-    // Simple LZ-string compression could be implemented here
-    // For now, just return the data as-is
-    return data;
+    return COMPRESSION_MARKER + compressToUTF16(data);
   }
 
   /**
-   * Simple decompression (if enabled)
+   * Decompress a tagged record; untagged data is returned as-is
    */
   decompress(data) {
-    // Simple LZ-string decompression could be implemented here
-    // For now, just return the data as-is
-    return data;
+    if (!this.isCompressed(data)) {
+      return data;
+    }
+
+    const text = decompressFromUTF16(data.substring(COMPRESSION_MARKER.length));
+    if (text === null) {
+      throw new Error('Corrupted compressed record');
+    }
+
+    return text;
+  }
+
+  /**
+   * Whether stored data carries the compression marker
+   */
+  isCompressed(data) {
+    return typeof data === 'string' && data.startsWith(COMPRESSION_MARKER);
   }
 
   /**
    * Export conversations for backup
+   * @param {object} options - passphrase: encrypt the backup with its own key
    */
-  async exportConversations() {
+  async exportConversations(options = {}) {
     try {
       const conversations = await this.getConversations();
       const data = [];
@@ -345,11 +1316,22 @@ export class StorageManager {
         }
       }
       
-      return {
+      const backup = {
         version: '1.0',
-        exportDate: new Date().toISOString(),
-        conversations: data
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString()
       };
+      const folders = await this.getFolders();
+
+      if (options.passphrase) {
+        return {
+          ...backup,
+          encrypted: true,
+          ...await CryptoVault.encryptWithPassphrase(JSON.stringify({ conversations: data, folders }), options.passphrase)
+        };
+      }
+
+      return { ...backup, conversations: data, folders };
       
     } catch (error) {
       this.logger.error('Failed to export conversations:', error);
@@ -357,26 +1339,287 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Collect every rated assistant answer across stored conversations
+   * @param {object} filters - Filters (from, to: dates; rating: 'like' | 'dislike')
+   */
+  async getFeedbackRecords(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+    const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+    const records = [];
+
+    try {
+      for (const { id } of await this.getConversations()) {
+        const conversation = await this.getConversation(id);
+        if (conversation && Array.isArray(conversation.messages)) {
+          this.collectFeedback(conversation, conversation.messages, null, records);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Failed to collect feedback:', error);
+      throw error;
+    }
+
+    return records
+      .filter(record => {
+        const time = new Date(record.timestamp).getTime();
+        return time >= from && time <= to &&
+          (!filters.rating || record.rating === filters.rating);
+      })
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Walk conversation messages (including every branch) and push rated answers
+   */
+  collectFeedback(conversation, items, question, records) {
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+
+      if (item.role === 'user') {
+        question = item.content;
+      } else if (item.role === 'branch') {
+        for (const branch of item.branches) {
+          this.collectFeedback(conversation, branch, question, records);
+        }
+      } else if (item.role === 'assistant' && item.feedback && item.feedback.rating) {
+        records.push({
+          timestamp: item.feedback.createdAt,
+          conversation_id: conversation.id,
+          conversation_title: conversation.title || null,
+          message_id: item.id || null,
+          model: item.feedback.modelName || null,
+          rating: item.feedback.rating,
+          reason: item.feedback.reason || null,
+          comment: item.feedback.comment || null,
+          rag_sources: items[index + 1]?.role === 'video_assistant',
+          question,
+          answer: item.content
+        });
+      }
+    }
+  }
+
+  /**
+   * Export rated answers for quality review
+   * @param {object} options - Filters plus format ('jsonl' | 'csv') and model (fallback model name)
+   */
+  async exportFeedback(options = {}) {
+    const { format = 'jsonl', model = null, ...filters } = options;
+
+    try {
+      const records = (await this.getFeedbackRecords(filters)).map(record => ({
+        ...record,
+        model: record.model || model
+      }));
+
+      this.logger.info(`Exporting ${records.length} feedback records as ${format}`);
+
+      return format === 'csv'
+        ? this.toCsv(records, FEEDBACK_EXPORT_COLUMNS)
+        : records.map(record => JSON.stringify(record)).join('\n');
+
+    } catch (error) {
+      this.logger.error('Failed to export feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Serialize records to CSV (RFC 4180 quoting, spreadsheet formula cells neutralized)
+   */
+  toCsv(records, columns) {
+    const lines = [columns.join(',')];
+    for (const record of records) {
+      lines.push(columns.map(column => csvCell(record[column])).join(','));
+    }
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Read a backup file: the exportConversations format (plain or encrypted), a
+   * bare array of records, or a legacy dump of raw `conversation:` localStorage
+   * keys. Every record is validated and upgraded to the current schema.
+   * @param {object|Array} backupData - Parsed JSON file
+   * @param {object} options - passphrase: required for encrypted backups
+   * @returns {Promise<{records: object[], folders: object[]}>} Records are
+   *   { index, id, title, record, errors }; record is null when errors is not empty
+   */
+  async parseBackup(backupData, options = {}) {
+    if (backupData && backupData.encrypted) {
+      if (!options.passphrase) {
+        throw new Error('Encrypted backup requires a passphrase');
+      }
+
+      // Older encrypted backups hold the conversations array only
+      const decrypted = JSON.parse(await CryptoVault.decryptWithPassphrase(backupData, options.passphrase));
+      backupData = {
+        ...backupData,
+        ...(Array.isArray(decrypted) ? { conversations: decrypted } : decrypted)
+      };
+    }
+
+    let raw;
+    if (Array.isArray(backupData)) {
+      raw = backupData;
+    } else if (backupData && Array.isArray(backupData.conversations)) {
+      raw = backupData.conversations;
+    } else if (backupData && typeof backupData === 'object') {
+      const prefix = this.config.conversationPrefix;
+      raw = await Promise.all(Object.keys(backupData)
+        .filter(key => key.startsWith(prefix))
+        .map(key => this.parseDumpedRecord(key.substring(prefix.length), backupData[key])));
+    }
+
+    if (!raw || raw.length === 0) {
+      throw new Error('Invalid backup data format');
+    }
+
+    const records = raw.map((conversation, index) => {
+      if (conversation instanceof Error) {
+        return { index, id: conversation.recordId, title: '', record: null, errors: [conversation.message] };
+      }
+
+      const errors = validateConversation(conversation);
+      const valid = errors.length === 0;
+
+      return {
+        index,
+        id: conversation && typeof conversation.id === 'string' ? conversation.id : null,
+        title: conversation && typeof conversation.title === 'string' ? conversation.title : '',
+        record: valid ? this.upgradeRecord(conversation) : null,
+        errors
+      };
+    });
+
+    const folders = (Array.isArray(backupData.folders) ? backupData.folders : [])
+      .filter(folder => folder && typeof folder.id === 'string' && typeof folder.name === 'string' && folder.name);
+
+    return { records, folders };
+  }
+
+  /**
+   * Value of a dumped `conversation:<id>` key: the record itself or its stored
+   * string (plain, compressed, or sealed with the current unlocked key)
+   * @returns {Promise<object|Error>} An Error (with recordId) describes an unreadable value
+   */
+  async parseDumpedRecord(id, value) {
+    let record = value;
+
+    if (typeof value === 'string') {
+      try {
+        record = JSON.parse(await this.openRecord(value));
+      } catch (error) {
+        return Object.assign(new Error(CryptoVault.isEncrypted(value)
+          ? 'enregistrement chiffré, illisible sans la clé du navigateur qui l\'a écrit'
+          : 'JSON illisible'), { recordId: id });
+      }
+    }
+
+    return record && typeof record === 'object' && !record.id ? { ...record, id } : record;
+  }
+
+  /**
+   * Describe what an import would do without writing anything
+   * @returns {Promise<{records: object[], folders: object[]}>} Records gain
+   *   status 'new' | 'conflict' | 'invalid' and, on conflict, existingTitle
+   */
+  async previewImport(backupData, options = {}) {
+    const backup = await this.parseBackup(backupData, options);
+    const existing = new Map((await this.getConversations()).map(entry => [entry.id, entry]));
+    const seen = new Set();
+
+    for (const entry of backup.records) {
+      if (entry.errors.length > 0) {
+        entry.status = 'invalid';
+      } else if (seen.has(entry.id)) {
+        entry.status = 'invalid';
+        entry.errors = ['identifiant en double dans le fichier'];
+        entry.record = null;
+      } else if (existing.has(entry.id)) {
+        entry.status = 'conflict';
+        entry.existingTitle = existing.get(entry.id).title;
+      } else {
+        entry.status = 'new';
+      }
+      seen.add(entry.id);
+    }
+
+    return backup;
+  }
+
   /**
    * Import conversations from backup
+   * @param {object|Array} backupData - Backup file content, see parseBackup
+   * @param {object} options - passphrase: required for encrypted backups;
+   *   resolutions: { [id]: 'keep-both' | 'overwrite' | 'skip' } for ids already
+   *   stored; conflict: resolution of ids missing from resolutions
+   * @returns {Promise<object>} Report { added, overwritten, duplicated, skipped, errors }
+   *   where errors lists { index, id, title, errors } of rejected records
    */
-  async importConversations(backupData) {
+  async importConversations(backupData, options = {}) {
+    const { resolutions = {}, conflict = 'overwrite' } = options;
+    const report = { added: 0, overwritten: 0, duplicated: 0, skipped: 0, errors: [] };
+
     try {
-      if (!backupData.conversations || !Array.isArray(backupData.conversations)) {
-        throw new Error('Invalid backup data format');
+      const backup = await this.previewImport(backupData, options);
+
+      // Folders are merged by id; a conversation whose folder is unknown lands outside any folder
+      const folders = await this.getFolders();
+      for (const folder of backup.folders) {
+        if (!folders.some(existing => existing.id === folder.id)) {
+          folders.push(folder);
+        }
       }
-      
-      for (const conversation of backupData.conversations) {
-        if (conversation.id) {
-          await this.saveConversation(conversation.id, conversation);
+      await this.saveFolders(folders);
+
+      for (const entry of backup.records) {
+        if (entry.status === 'invalid') {
+          report.errors.push({ index: entry.index, id: entry.id, title: entry.title, errors: entry.errors });
+          continue;
+        }
+
+        const record = entry.record;
+        if (record.folderId && !folders.some(folder => folder.id === record.folderId)) {
+          record.folderId = null;
+        }
+
+        const resolution = entry.status === 'conflict' ? resolutions[entry.id] || conflict : 'add';
+        if (resolution === 'skip') {
+          report.skipped++;
+        } else if (resolution === 'keep-both') {
+          const id = this.generateConversationId();
+          await this.saveConversation(id, { ...record, id, title: `${record.title || 'Sans titre'} (importée)` }, { touch: false });
+          report.duplicated++;
+        } else {
+          await this.saveConversation(entry.id, record, { touch: false });
+          report[resolution === 'overwrite' ? 'overwritten' : 'added']++;
         }
       }
-      
-      this.logger.info(`Imported ${backupData.conversations.length} conversations`);
-      
+
+      this.logger.info(`Imported conversations: ${report.added} added, ${report.overwritten} overwritten, ${report.duplicated} duplicated, ${report.skipped} skipped, ${report.errors.length} rejected`);
+      return report;
+
     } catch (error) {
       this.logger.error('Failed to import conversations:', error);
       throw error;
     }
   }
+
+  /**
+   * Random conversation id, for copies kept next to an existing conversation
+   */
+  generateConversationId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(16)}-${Math.random().toString(16).substring(2, 10)}`;
+  }
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.StorageManager = StorageManager;
+  window.StorageQuotaError = StorageQuotaError;
 }
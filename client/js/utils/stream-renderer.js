@@ -0,0 +1,206 @@
+/* ========== STREAM RENDERER UTILITY ========== */
+
+// Opening or closing line of a fenced code block
+const FENCE = /^ {0,3}(```|~~~)/;
+
+// First line of a list item: a blank line before it does not end the list
+const LIST_ITEM = /^([-*+]|\d+[.)])\s/;
+
+/**
+ * Renders an answer while it streams in without re-parsing it all on every
+ * character. The text is cut into blocks at blank lines (outside code
+ * fences and lists): finished blocks are rendered once and appended as
+ * stable DOM nodes, so they can be selected and copied during the stream;
+ * only the trailing, still-open block is rendered again. Updates are batched
+ * per animation frame.
+ *
+ * With the typewriter effect, text is revealed at `typingSpeed` ms per
+ * character whatever the network pace; without it, each frame shows
+ * everything received so far.
+ *
+ * Blocks rendered separately may differ slightly from the whole answer
+ * (footnote references whose definition comes later): the caller renders the
+ * complete text once the stream is over.
+ */
+export class StreamRenderer {
+  /**
+   * @param {Element} element - Container receiving the answer
+   * @param {MarkdownRenderer} markdown
+   * @param {object} options - { text: already received text, shown at once,
+   *   typingSpeed: ms per character, typewriter: false to show text as it
+   *   arrives, cursor: HTML appended to the open block, onUpdate() after each frame }
+   */
+  constructor(element, markdown, options = {}) {
+    this.element = element;
+    this.markdown = markdown;
+    this.options = {
+      text: '',
+      typingSpeed: 7,
+      typewriter: true,
+      cursor: '',
+      onUpdate: () => {},
+      ...options
+    };
+
+    this.text = this.options.text;
+    this.pending = '';
+    this.committed = 0;
+    this.tail = [];
+    this.started = false;
+    this.frame = null;
+    this.lastStep = null;
+    this.waiting = [];
+
+    if (this.text) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * @param {string} chunk - Text received from the stream
+   */
+  push(chunk) {
+    if (!chunk) return;
+    this.pending += chunk;
+    this.schedule();
+  }
+
+  /**
+   * @returns {Promise<string>} Whole text, once all of it is shown
+   */
+  finish() {
+    if (!this.pending && !this.frame) {
+      return Promise.resolve(this.text);
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Stop rendering; text not shown yet is kept but no longer animated
+   * @returns {string} Whole text received
+   */
+  stop() {
+    if (this.frame) {
+      this.frame.cancel();
+      this.frame = null;
+    }
+    this.text += this.pending;
+    this.pending = '';
+    this.settle();
+    return this.text;
+  }
+
+  schedule() {
+    if (this.frame) return;
+
+    // Animation frames are paused in background tabs: a timer keeps the
+    // answer moving so that it can still be saved when the stream ends
+    const run = () => {
+      this.frame = null;
+      this.step(performance.now());
+    };
+    if (typeof document !== 'undefined' && document.hidden) {
+      const timer = setTimeout(run, 50);
+      this.frame = { cancel: () => clearTimeout(timer) };
+    } else {
+      const request = requestAnimationFrame(run);
+      this.frame = { cancel: () => cancelAnimationFrame(request) };
+    }
+  }
+
+  step(now) {
+    const speed = this.options.typewriter ? this.options.typingSpeed : 0;
+    let count = this.pending.length;
+    if (speed > 0) {
+      count = this.lastStep === null ? 1 : Math.max(1, Math.floor((now - this.lastStep) / speed));
+      // Keep the remainder of the elapsed time for the next frame
+      this.lastStep = this.lastStep === null ? now : this.lastStep + count * speed;
+    }
+
+    this.text += this.pending.substring(0, count);
+    this.pending = this.pending.substring(count);
+    this.render();
+    this.options.onUpdate();
+
+    if (this.pending) {
+      this.schedule();
+    } else {
+      this.lastStep = null;
+      this.settle();
+    }
+  }
+
+  settle() {
+    this.waiting.splice(0).forEach(resolve => resolve(this.text));
+  }
+
+  render() {
+    if (!this.started) {
+      this.element.innerHTML = '';
+      this.started = true;
+    }
+    this.clearTail();
+
+    const boundary = this.findBoundary();
+    if (boundary > this.committed) {
+      this.append(this.markdown.render(this.text.substring(this.committed, boundary)));
+      this.committed = boundary;
+    }
+
+    this.tail = this.append(this.markdown.render(this.text.substring(this.committed)));
+
+    if (this.options.cursor) {
+      const last = this.tail.filter(node => node.nodeType === 1).pop();
+      if (last) {
+        last.insertAdjacentHTML('beforeend', this.options.cursor);
+      } else {
+        this.tail.push(...this.append(this.options.cursor));
+      }
+    }
+  }
+
+  /**
+   * End of the last finished block: start of the last complete line that
+   * opens a new block after a blank line, outside code fences and lists
+   * @returns {number} Offset in the text
+   */
+  findBoundary() {
+    const lines = this.text.substring(this.committed).split('\n');
+    let boundary = this.committed;
+    let offset = this.committed;
+    let fenced = false;
+    let blank = false;
+
+    // The last line may still grow
+    for (const line of lines.slice(0, -1)) {
+      if (!fenced && blank && /^\S/.test(line) && !LIST_ITEM.test(line)) {
+        boundary = offset;
+      }
+      if (FENCE.test(line)) {
+        fenced = !fenced;
+      }
+      blank = !fenced && line.trim() === '';
+      offset += line.length + 1;
+    }
+
+    return boundary;
+  }
+
+  append(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const nodes = [...template.content.childNodes];
+    this.element.append(...nodes);
+    return nodes;
+  }
+
+  clearTail() {
+    this.tail.forEach(node => node.remove());
+    this.tail = [];
+  }
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.StreamRenderer = StreamRenderer;
+}
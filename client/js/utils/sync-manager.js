@@ -0,0 +1,366 @@
+/* ========== SYNC MANAGER UTILITY ========== */
+
+import { Logger } from './logger.js';
+import { validateConversation } from './conversation-schema.js';
+
+// Device id, server cursor, revision and metadata last synced per
+// conversation, and the queue of local changes not yet accepted by the server
+const SYNC_STATE_KEY = 'sync_state';
+
+// Record fields merged one by one when two devices changed the same conversation
+const METADATA_FIELDS = ['title', 'titleLocked', 'titleGenerated', 'model', 'pinned', 'archived', 'folderId', 'tags', 'deletedAt'];
+
+/**
+ * Two-way sync of conversations with a remote store.
+ *
+ * The server keeps a change log: every accepted write gets the next revision
+ * number. A device pulls the changes after its cursor, then pushes its queued
+ * changes along with the revision each one was based on; the server refuses a
+ * change whose base is no longer the current revision (another device wrote in
+ * between). On pull, a remote change to a conversation that also has queued
+ * local edits is merged when the messages are the same: each metadata field
+ * takes the side that changed it since the last sync, or the side with the
+ * most recent lastModified when both did. Otherwise it is recorded as a
+ * conflict: the remote version is applied and the local one is kept as a copy.
+ *
+ * Local changes are queued by id as the StorageManager reports them and the
+ * queue is persisted, so edits made offline are pushed once back online.
+ * Sync is off while at-rest encryption is on: records would leave the device
+ * in clear.
+ */
+export class SyncManager {
+  /**
+   * @param {StorageManager} storage
+   * @param {ApiClient} api - Provides pullChanges and pushChanges
+   * @param {object} options - { enqueue: runs a storage task after pending
+   *   writes, onStatus(status), onApplied(ids), intervalSeconds, debounceMs }
+   */
+  constructor(storage, api, options = {}) {
+    this.logger = new Logger('SyncManager');
+    this.storage = storage;
+    this.api = api;
+    this.options = {
+      enqueue: task => task(),
+      onStatus: () => {},
+      onApplied: () => {},
+      intervalSeconds: 60,
+      debounceMs: 2000,
+      ...options
+    };
+
+    this.state = this.loadState();
+    this.applying = false;
+    this.running = null;
+    this.timer = null;
+    this.debounceTimer = null;
+    this.unsubscribe = null;
+    this.status = { state: 'idle', pending: this.pendingCount(), conflicts: 0, lastSync: null, error: null };
+    this.onlineHandler = () => this.sync();
+    this.offlineHandler = () => this.setStatus({ state: 'offline' });
+  }
+
+  loadState() {
+    let state = null;
+    try {
+      state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+    } catch (error) {
+      this.logger.warn('Unreadable sync state, starting over');
+    }
+
+    return {
+      deviceId: state?.deviceId || this.generateDeviceId(),
+      initialized: Boolean(state?.initialized),
+      cursor: state?.cursor || 0,
+      revisions: state?.revisions || {},
+      bases: state?.bases || {},
+      queue: state?.queue || {}
+    };
+  }
+
+  saveState() {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(this.state));
+  }
+
+  generateDeviceId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(16)}-${Math.random().toString(16).substring(2, 10)}`;
+  }
+
+  pendingCount() {
+    return Object.keys(this.state.queue).length;
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, pending: this.pendingCount(), ...changes };
+    this.options.onStatus(this.status);
+  }
+
+  /**
+   * Listen to local changes and sync now, periodically, after each change and
+   * when the browser comes back online
+   */
+  async start() {
+    this.stop();
+
+    // First sync on this device: every existing conversation is sent
+    if (!this.state.initialized) {
+      const entries = await this.options.enqueue(() => this.storage.getConversations());
+      entries.forEach(entry => {
+        this.state.queue[entry.id] = { deleted: false, version: 1 };
+      });
+      this.state.initialized = true;
+      this.saveState();
+    }
+
+    this.unsubscribe = this.storage.addChangeListener((id, { deleted }) => this.queueChange(id, deleted));
+    window.addEventListener('online', this.onlineHandler);
+    window.addEventListener('offline', this.offlineHandler);
+    if (this.options.intervalSeconds > 0) {
+      this.timer = setInterval(() => this.sync(), this.options.intervalSeconds * 1000);
+    }
+
+    return this.sync();
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    window.removeEventListener('online', this.onlineHandler);
+    window.removeEventListener('offline', this.offlineHandler);
+    clearInterval(this.timer);
+    clearTimeout(this.debounceTimer);
+  }
+
+  /**
+   * Record a local change; `version` lets a push tell whether the conversation
+   * changed again while the request was in flight
+   */
+  queueChange(id, deleted = false) {
+    if (this.applying) return;
+
+    const previous = this.state.queue[id];
+    this.state.queue[id] = { deleted, version: (previous?.version || 0) + 1 };
+    this.saveState();
+    this.setStatus({});
+
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.sync(), this.options.debounceMs);
+  }
+
+  /**
+   * Pull then push; concurrent calls share the running sync
+   * @returns {Promise<object>} Status once done
+   */
+  sync() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run() {
+    if (this.storage.isEncryptionEnabled()) {
+      this.setStatus({ state: 'unavailable' });
+      return this.status;
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setStatus({ state: 'offline' });
+      return this.status;
+    }
+
+    this.setStatus({ state: 'syncing', error: null });
+
+    try {
+      let conflicts = await this.pull();
+      // Another device wrote between our pull and push: pull its version and retry once
+      if (await this.push()) {
+        conflicts += await this.pull();
+        await this.push();
+      }
+
+      this.setStatus({ state: 'synced', conflicts: this.status.conflicts + conflicts, lastSync: Date.now() });
+    } catch (error) {
+      this.logger.warn('Sync failed:', error);
+      const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+      this.setStatus({ state: offline ? 'offline' : 'error', error: error.message });
+    }
+
+    return this.status;
+  }
+
+  /**
+   * Apply remote changes after the cursor
+   * @returns {Promise<number>} Number of conflicts recorded
+   */
+  async pull() {
+    const { changes, cursor } = await this.api.pullChanges(this.state.cursor);
+    const applied = [];
+    let conflicts = 0;
+
+    for (const change of changes) {
+      // Our own write coming back
+      if (this.state.revisions[change.id] === change.revision) continue;
+
+      // Records from the server are checked like an import before being stored
+      if (!change.deleted && validateConversation(change.record).length > 0) {
+        this.logger.warn('Invalid remote record skipped:', change.id);
+        continue;
+      }
+
+      const result = await this.options.enqueue(() => this.applyChange(change));
+      if (result === 'conflict') conflicts++;
+      if (result !== 'kept') applied.push(change.id);
+    }
+
+    this.state.cursor = Math.max(this.state.cursor, cursor);
+    this.saveState();
+
+    if (applied.length > 0) {
+      this.options.onApplied(applied);
+    }
+    return conflicts;
+  }
+
+  /**
+   * @returns {Promise<string>} 'applied', 'merged', 'kept' (local edit wins) or 'conflict'
+   */
+  async applyChange(change) {
+    const queued = this.state.queue[change.id];
+    const local = await this.storage.getConversation(change.id);
+    const base = this.state.bases[change.id];
+    this.state.revisions[change.id] = change.revision;
+    this.setBase(change.id, change.deleted ? null : change.record);
+
+    this.applying = true;
+    try {
+      if (!queued) {
+        await this.write(change.id, change.deleted ? null : change.record);
+        return 'applied';
+      }
+
+      // Edited here, deleted there: the edit is kept and pushed on top of the deletion
+      if (change.deleted) {
+        return 'kept';
+      }
+
+      // Deleted here, edited there: the edit is kept
+      if (!local) {
+        delete this.state.queue[change.id];
+        await this.write(change.id, change.record);
+        return 'applied';
+      }
+
+      // Only metadata differ: the merged record stays queued and is pushed
+      if (JSON.stringify(local.messages) === JSON.stringify(change.record.messages)) {
+        await this.write(change.id, this.mergeMetadata(local, change.record, base));
+        return 'merged';
+      }
+
+      // Both sides added messages: the remote version takes the id, the local one is kept as a copy
+      delete this.state.queue[change.id];
+      await this.write(change.id, change.record);
+      this.applying = false;
+      const copyId = this.generateDeviceId();
+      await this.storage.saveConversation(copyId, {
+        ...local,
+        id: copyId,
+        title: `${local.title || 'Sans titre'} (conflit)`
+      }, { touch: false });
+      return 'conflict';
+
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  mergeMetadata(local, remote, base) {
+    const merged = { ...local, lastModified: Math.max(local.lastModified || 0, remote.lastModified || 0) };
+    const remoteIsNewer = (remote.lastModified || 0) > (local.lastModified || 0);
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    for (const field of METADATA_FIELDS) {
+      if (same(local[field], remote[field])) continue;
+
+      const localChanged = !base || !same(local[field], base[field]);
+      const remoteChanged = !base || !same(remote[field], base[field]);
+      if (!localChanged || (remoteChanged && remoteIsNewer)) {
+        merged[field] = remote[field];
+      }
+    }
+
+    return merged;
+  }
+
+  setBase(id, record) {
+    if (record) {
+      this.state.bases[id] = Object.fromEntries(METADATA_FIELDS.map(field => [field, record[field] ?? null]));
+    } else {
+      delete this.state.bases[id];
+    }
+  }
+
+  async write(id, record) {
+    if (record) {
+      await this.storage.saveConversation(id, record, { touch: false });
+    } else if (await this.storage.getConversation(id)) {
+      await this.storage.deleteConversation(id);
+    }
+  }
+
+  /**
+   * Send queued changes
+   * @returns {Promise<boolean>} Whether the server refused some as conflicting
+   */
+  async push() {
+    const entries = Object.entries(this.state.queue);
+    if (entries.length === 0) return false;
+
+    const versions = new Map(entries.map(([id, queued]) => [id, queued.version]));
+    const records = new Map();
+    const changes = [];
+    for (const [id, queued] of entries) {
+      const record = queued.deleted ? null : await this.options.enqueue(() => this.storage.getConversation(id));
+      records.set(id, record);
+      changes.push({
+        id,
+        baseRevision: this.state.revisions[id] ?? null,
+        lastModified: record ? record.lastModified : Date.now(),
+        deleted: !record,
+        record
+      });
+    }
+
+    const { accepted, conflicts } = await this.api.pushChanges({ device: this.state.deviceId, changes });
+
+    for (const { id, revision } of accepted) {
+      this.state.revisions[id] = revision;
+      this.setBase(id, records.get(id));
+      // Changed again during the request: stays queued for the next push
+      if (this.state.queue[id]?.version === versions.get(id)) {
+        delete this.state.queue[id];
+      }
+    }
+    this.saveState();
+    this.setStatus({});
+
+    return conflicts.length > 0;
+  }
+
+  /**
+   * Forget conflicts shown in the status once the user has seen them
+   */
+  clearConflicts() {
+    this.setStatus({ conflicts: 0 });
+  }
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.SyncManager = SyncManager;
+}
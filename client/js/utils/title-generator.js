@@ -0,0 +1,92 @@
+/* ========== TITLE GENERATOR UTILITY ========== */
+
+const MAX_WORDS = 6;
+const MAX_LENGTH = 60;
+const FALLBACK_TITLE = 'Nouvelle conversation';
+
+// Greetings and politeness formulas, removed wherever they appear
+const GREETINGS = /\b(bonjour|bonsoir|salut|coucou|hello|hi|hey|merci( beaucoup| d'avance)?|thanks?( you)?|s'il (te|vous) pla[iî]t|svp|stp|please|cordialement)\b/gi;
+
+// Agent mentions inserted by the @ autocompletion
+const AGENT_MENTIONS = /(^|\s)@[\w-]+/g;
+
+// Question and request scaffolding that carries no subject
+const STOP_WORDS = new Set([
+  'je', 'j', 'tu', 'il', 'elle', 'on', 'nous', 'vous', 'ils', 'elles', 'me', 'm', 'te', 't', 'se', 's',
+  'le', 'la', 'les', 'l', 'un', 'une', 'des', 'du', 'de', 'd', 'au', 'aux', 'ce', 'cet', 'cette', 'ces',
+  'mon', 'ma', 'mes', 'ton', 'ta', 'tes', 'son', 'sa', 'ses', 'notre', 'nos', 'votre', 'vos', 'leur', 'leurs',
+  'et', 'ou', 'mais', 'donc', 'or', 'ni', 'car', 'que', 'qu', 'qui', 'quoi', 'dont', 'si', 'à', 'a', 'en', 'y',
+  'pour', 'par', 'sur', 'dans', 'avec', 'sans', 'est', 'sont', 'suis', 'es', 'être', 'ai', 'as', 'avons', 'avez', 'ont', 'avoir',
+  'comment', 'pourquoi', 'quand', 'combien', 'quel', 'quelle', 'quels', 'quelles', 'lequel', 'laquelle',
+  'souhaite', 'souhaiterais', 'voudrais', 'veux', 'aimerais', 'pouvez', 'pourriez', 'peux', 'pourrais', 'peut',
+  'savoir', 'connaître', 'comprendre', 'expliquer', 'explique', 'expliquez', 'dire', 'dis', 'dit', 'dites', 'donner', 'donne', 'donnez',
+  'aider', 'aide', 'aidez', 'besoin', 'question', 'faire', 'fait', 'dois', 'doit', 'faut', 'est-ce', 'ne', 'pas', 'plus', 'très',
+  'the', 'a', 'an', 'of', 'to', 'in', 'on', 'for', 'with', 'and', 'or', 'is', 'are', 'do', 'does', 'can', 'could', 'would',
+  'i', 'you', 'me', 'my', 'your', 'what', 'how', 'why', 'when', 'which', 'want', 'like', 'know', 'tell', 'explain', 'help'
+]);
+
+/**
+ * Build a short title from a question without calling the backend: greetings,
+ * agent mentions and punctuation are dropped and only the first meaningful
+ * words are kept ("Bonjour, je souhaite connaître le délai de résiliation
+ * d'un bail ?" -> "Délai résiliation bail").
+ * @param {string} question - First user message
+ * @returns {string}
+ */
+export function generateLocalTitle(question) {
+  if (typeof question !== 'string') {
+    return FALLBACK_TITLE;
+  }
+
+  const text = question
+    .replace(/<[^>]*>/g, ' ')
+    .replace(AGENT_MENTIONS, ' ')
+    .replace(GREETINGS, ' ');
+
+  const words = (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’.-]*/gu) || [])
+    .map(word => word.replace(/^[dljmtsnc]['’]|^qu['’]/i, '').replace(/[.'’-]+$/, ''))
+    .filter(word => word && !STOP_WORDS.has(word.toLowerCase()));
+
+  return formatTitle(words.slice(0, MAX_WORDS).join(' '));
+}
+
+/**
+ * Clean a title proposed by the backend: one line, no quotes or trailing
+ * punctuation, capped length
+ * @param {string} title
+ * @returns {string} Empty string when nothing usable is left
+ */
+export function cleanTitle(title) {
+  if (typeof title !== 'string') {
+    return '';
+  }
+
+  const line = title
+    .split('\n')
+    .map(part => part.trim())
+    .find(Boolean) || '';
+
+  return formatTitle(line
+    .replace(/^(titre|title)\s*:\s*/i, '')
+    .replace(/^["'«“\s]+|["'»”\s]+$/g, '')
+    .replace(/[.!?;:,…]+$/, ''), '');
+}
+
+function formatTitle(title, fallback = FALLBACK_TITLE) {
+  let result = title.replace(/\s+/g, ' ').trim();
+  if (!result) {
+    return fallback;
+  }
+
+  if (result.length > MAX_LENGTH) {
+    result = result.substring(0, MAX_LENGTH).replace(/\s+\S*$/, '') + '…';
+  }
+
+  return result.charAt(0).toUpperCase() + result.slice(1);
+}
+
+// Export for global usage (chat.js is loaded as a classic script)
+if (typeof window !== 'undefined') {
+  window.generateLocalTitle = generateLocalTitle;
+  window.cleanTitle = cleanTitle;
+}
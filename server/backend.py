@@ -1,6 +1,17 @@
-from flask import request, Response, stream_with_context
+from flask import request, Response, stream_with_context, jsonify
+import os
 import requests  
-from json import loads
+from json import load, loads, dump, dumps
+from datetime import datetime, timezone
+from threading import Lock
+
+FEEDBACK_FILE = 'feedback.jsonl'
+FEEDBACK_RATINGS = ('like', 'dislike', None)
+
+# Journal de synchronisation : révision courante et dernière version de chaque conversation.
+# Serveur local de test uniquement : sans authentification, il ne doit pas être déployé
+SYNC_FILE = 'sync.json'
+sync_lock = Lock()
 
 
 class BackendApi:
@@ -10,6 +21,18 @@ class BackendApi:
             '/backend-api/v2/conversation': {
                 'function': self._conversation,
                 'methods': ['POST']
+            },
+            '/backend-api/v2/feedback': {
+                'function': self._feedback,
+                'methods': ['POST']
+            },
+            '/backend-api/v2/title': {
+                'function': self._title,
+                'methods': ['POST']
+            },
+            '/backend-api/v2/sync': {
+                'function': self._sync,
+                'methods': ['GET', 'POST']
             }
         }
 
@@ -23,6 +46,11 @@ class BackendApi:
                 "question": question_text.replace("?", "").replace("\n", "")
             }
 
+            # Reprise d'une réponse interrompue : on transmet le début déjà reçu
+            partial_answer = request.json['meta']['content'].get('partial_answer')
+            if request.json.get('action') == '_continue' and partial_answer:
+                payload["partial_answer"] = partial_answer
+
             
             api_url = "https://legal-chatbot.eastus.cloudapp.azure.com:443/v1/assist/stream/"
             api_headers = {"Content-Type": "application/json", 'cache-control': 'no-cache', 'Connection': 'keep-alive'}
@@ -50,3 +78,148 @@ class BackendApi:
         except Exception as e:
             print(f"Error: {e}")
             return Response(f"An error occurred: {str(e)}", status=500)
+
+    def _feedback(self):
+        try:
+            data = request.get_json(silent=True)
+            if not data or not data.get('message_id'):
+                return jsonify({"error": "message_id is required"}), 400
+
+            if data.get('rating') not in FEEDBACK_RATINGS:
+                return jsonify({"error": "rating must be 'like', 'dislike' or null"}), 400
+
+            record = {
+                **data,
+                "received_at": datetime.now(timezone.utc).isoformat()
+            }
+
+            # Journal des avis (une ligne JSON par avis) pour le suivi qualité
+            with open(FEEDBACK_FILE, 'a', encoding='utf-8') as f:
+                f.write(dumps(record, ensure_ascii=False) + '\n')
+
+            return jsonify({"success": True})
+
+        except Exception as e:
+            print(f"Error: {e}")
+            return jsonify({"error": f"An error occurred: {str(e)}"}), 500
+
+    def _title(self):
+        try:
+            data = request.get_json(silent=True)
+            if not data or not data.get('question'):
+                return jsonify({"error": "question is required"}), 400
+
+            # Pas d'endpoint dédié côté API : la consigne de titrage passe par l'assistant
+            payload = {
+                "question": (
+                    "Propose un titre de 6 mots maximum, sans guillemets ni ponctuation finale, "
+                    "pour une conversation qui commence par cette question : "
+                    + data['question'].replace("?", "").replace("\n", " ")[:500]
+                )
+            }
+
+            api_url = "https://legal-chatbot.eastus.cloudapp.azure.com:443/v1/assist/stream/"
+            api_headers = {"Content-Type": "application/json", 'cache-control': 'no-cache', 'Connection': 'keep-alive'}
+
+            parts = []
+            with requests.post(api_url, headers=api_headers, json=payload, stream=True, timeout=10) as r:
+                if r.status_code >= 400:
+                    return jsonify({"error": f"API returned status code {r.status_code}"}), 502
+
+                for line in r.iter_lines():
+                    if not line:
+                        continue
+                    chunk = line.decode('utf-8')
+                    chunk = chunk[6:] if chunk.startswith('data: ') else chunk
+                    if chunk.strip() == '[DONE]':
+                        break
+                    try:
+                        parsed = loads(chunk)
+                    except ValueError:
+                        parsed = None
+                    if isinstance(parsed, dict):
+                        parts.append(parsed.get('content') or parsed.get('response') or '')
+                    else:
+                        parts.append(chunk)
+
+            title = ''.join(parts).strip().split('\n')[0].strip(' "«»')[:80]
+            if not title:
+                return jsonify({"error": "empty title"}), 502
+
+            return jsonify({"title": title})
+
+        except Exception as e:
+            print(f"Error: {e}")
+            return jsonify({"error": f"An error occurred: {str(e)}"}), 500
+
+    def _sync(self):
+        try:
+            with sync_lock:
+                store = self._read_sync_store()
+
+                # Pull : changements acceptés après le curseur du client
+                if request.method == 'GET':
+                    since = request.args.get('since', default=0, type=int)
+                    changes = sorted(
+                        (change for change in store['records'].values() if change['revision'] > since),
+                        key=lambda change: change['revision']
+                    )
+                    return jsonify({"changes": changes, "cursor": store['revision']})
+
+                # Push : chaque modification part de la révision vue par l'appareil
+                data = request.get_json(silent=True)
+                if not data or not isinstance(data.get('changes'), list):
+                    return jsonify({"error": "changes is required"}), 400
+
+                accepted, conflicts = [], []
+                for change in data['changes']:
+                    if not self._is_valid_change(change):
+                        continue
+
+                    current = store['records'].get(change['id'])
+                    if current and current['revision'] != change.get('baseRevision'):
+                        conflicts.append(current)
+                        continue
+
+                    store['revision'] += 1
+                    store['records'][change['id']] = {
+                        "id": change['id'],
+                        "revision": store['revision'],
+                        "lastModified": change.get('lastModified'),
+                        "deleted": bool(change.get('deleted')),
+                        "record": None if change.get('deleted') else change.get('record'),
+                        "device": data.get('device')
+                    }
+                    accepted.append({"id": change['id'], "revision": store['revision']})
+
+                self._write_sync_store(store)
+                return jsonify({"accepted": accepted, "conflicts": conflicts, "cursor": store['revision']})
+
+        except Exception as e:
+            print(f"Error: {e}")
+            return jsonify({"error": f"An error occurred: {str(e)}"}), 500
+
+    @staticmethod
+    def _is_valid_change(change):
+        # Une entrée mal formée est ignorée sans rejeter le reste du lot
+        def is_int(value):
+            return isinstance(value, int) and not isinstance(value, bool)
+
+        return (
+            isinstance(change, dict)
+            and isinstance(change.get('id'), str) and change['id'] != ''
+            and (change.get('baseRevision') is None or is_int(change['baseRevision']))
+            and is_int(change.get('lastModified'))
+        )
+
+    def _read_sync_store(self):
+        if not os.path.exists(SYNC_FILE):
+            return {"revision": 0, "records": {}}
+        with open(SYNC_FILE, 'r', encoding='utf-8') as f:
+            return load(f)
+
+    def _write_sync_store(self, store):
+        # Écriture atomique : un arrêt pendant l'écriture ne corrompt pas le magasin
+        with open(SYNC_FILE + '.tmp', 'w', encoding='utf-8') as f:
+            dump(store, f, ensure_ascii=False)
+        os.replace(SYNC_FILE + '.tmp', SYNC_FILE)
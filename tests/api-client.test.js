@@ -0,0 +1,51 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiClient, ApiError } from '../client/js/utils/api-client.js';
+
+// SSE response returned by fetch, one event per line
+const streamResponse = (lines) => new Response(lines.map(line => `${line}\n\n`).join(''), {
+  status: 200,
+  headers: { 'Content-Type': 'text/event-stream' }
+});
+
+const collect = async (lines) => {
+  globalThis.fetch = async () => streamResponse(lines);
+  const client = new ApiClient();
+  await client.initialize();
+  const chunks = [];
+  for await (const chunk of await client.sendMessage('Question ?', 'conversation-1')) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+test('plain-text "Error:" lines from the backend raise an ApiError', async () => {
+  await assert.rejects(
+    collect(['data: Error: Received status code 502 from API']),
+    error => error instanceof ApiError && error.name === 'ApiError' && /502/.test(error.message)
+  );
+});
+
+test('JSON error events raise an ApiError', async () => {
+  await assert.rejects(
+    collect(['data: {"error": "API returned status code 500"}', 'data: [DONE]']),
+    error => error instanceof ApiError && /500/.test(error.message)
+  );
+});
+
+test('an error after some content still raises', async () => {
+  await assert.rejects(
+    collect(['data: {"content": "Début"}', 'data: Error: Received status code 503 from API']),
+    ApiError
+  );
+});
+
+test('plain-text content and JSON content are still streamed', async () => {
+  const chunks = await collect(['data: {"content": "Bonjour"}', 'data: la suite', 'data: [DONE]']);
+  assert.deepEqual(chunks, [
+    { type: 'content', content: 'Bonjour' },
+    { type: 'content', content: 'la suite' },
+    { type: 'done' }
+  ]);
+});
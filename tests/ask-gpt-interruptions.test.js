@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startChat, flushStorage, window } from './chat-harness.js';
+
+// Answer stream yielding `text`, then failing with `error`
+let failure = null;
+chat('api_client').sendMessage = async () => (async function* () {
+  if (failure.text) yield { type: 'content', content: failure.text };
+  throw failure.error;
+})();
+
+const abortError = () => new window.DOMException('The user aborted a request.', 'AbortError');
+
+// Ask in a new conversation; returns the answer token and the stored answer
+const ask = async (conversationId, text, error) => {
+  failure = { text, error };
+  window.conversation_id = conversationId;
+  await chat('ask_gpt')('Question');
+  await flushStorage();
+
+  const conversation = await chat('read_conversation')(conversationId);
+  const items = chat('get_active_path')(conversation.messages);
+  return { token: window.token, items, answer: items.find(item => item.role === 'assistant') };
+};
+
+test('failed and stopped answers keep the id of their bubble', async (t) => {
+  await startChat();
+
+  const cases = [
+    ['service error', 'conversation-error', '', new window.ApiError('Error: upstream 502')],
+    ['service error after some text', 'conversation-error-text', 'Début', new window.ApiError('Error: upstream 502')],
+    ['stopped by the user', 'conversation-aborted', 'Début', abortError()]
+  ];
+
+  for (const [name, conversationId, text, error] of cases) {
+    await t.test(name, async () => {
+      const { token, items, answer } = await ask(conversationId, text, error);
+
+      assert.equal(answer.id, token);
+      assert.ok(!answer.incomplete);
+      assert.equal(chat('find_item_index')(items, token, 'assistant'), 1);
+
+      // Reloaded, the answer is in the bubble the live page used
+      chat('message_box').innerHTML = '';
+      await chat('load_conversation')(conversationId);
+      assert.ok(window.document.getElementById(`imanage_${token}`));
+    });
+  }
+});
+
+test('a timeout before any text stores a timeout message, not a resumable answer', async (t) => {
+  await startChat();
+
+  const cases = [
+    ['total deadline', 'conversation-total', new window.ApiTimeoutError(30000), 'total'],
+    ['idle deadline', 'conversation-idle', new window.ApiIdleTimeoutError(15000), 'idle']
+  ];
+
+  for (const [name, conversationId, error, kind] of cases) {
+    await t.test(name, async () => {
+      const { token, answer } = await ask(conversationId, '', error);
+      const bubble = window.document.getElementById(`imanage_${token}`);
+
+      assert.equal(answer.id, token);
+      assert.ok(!answer.incomplete);
+      assert.equal(answer.content, chat('getInterruptionText')(kind));
+      assert.ok(bubble.querySelector(`.stream-interruption-${kind}`));
+      assert.equal(bubble.querySelector('.continue-answer'), null);
+    });
+  }
+
+  await t.test('with part of the answer, the answer can be continued', async () => {
+    const { token, answer } = await ask('conversation-total-text', 'Selon l\'art. 41 CO', new window.ApiTimeoutError(30000));
+
+    assert.equal(answer.id, token);
+    assert.equal(answer.incomplete, true);
+    assert.equal(answer.interruption, 'total');
+    assert.equal(answer.content, 'Selon l\'art. 41 CO');
+    assert.ok(window.document.querySelector(`#imanage_${token} .continue-answer`));
+  });
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startChat, window } from './chat-harness.js';
+import { validateConversation, avatarKey } from '../client/js/utils/conversation-schema.js';
+
+const hostile = '<img src=x onerror="window.pwned = true">';
+
+const record = (image) => ({
+  id: 'conversation-avatars',
+  title: 'Avatars',
+  messages: [
+    { id: 'm1', role: 'user', image, content: 'Question' },
+    { id: 'm1', role: 'assistant', image: 'assistant', content: 'Réponse' }
+  ]
+});
+
+test('avatar keys and markup saved by earlier versions are recognized', () => {
+  assert.equal(avatarKey('imanage'), 'imanage');
+  assert.equal(avatarKey('<img class="user" src="/assets/img/user-icon.webp" alt="User Avatar">'), 'user');
+  assert.equal(avatarKey('<img class="user" src="/assets/img/gpt_egg.png" alt="GPT Avatar">'), 'assistant');
+  assert.equal(avatarKey(hostile), null);
+  assert.equal(avatarKey({ attachment: 'att-1' }), null);
+});
+
+test('records with unknown or non-string avatars are rejected', () => {
+  assert.deepEqual(validateConversation(record('user')), []);
+  assert.deepEqual(validateConversation(record(hostile)), ['messages[0] : avatar inconnu']);
+  assert.deepEqual(validateConversation(record(42)), ['messages[0] : avatar inconnu']);
+
+  const variants = record('user');
+  variants.messages[1].variants = [{ content: 'Réponse', image: hostile }];
+  assert.deepEqual(validateConversation(variants), ['messages[1] : avatar de variante inconnu']);
+});
+
+test('stored avatar markup is never inserted when a conversation is opened', async () => {
+  await startChat();
+  await chat('storage_manager').saveConversation('conversation-avatars', record(hostile));
+
+  await chat('load_conversation')('conversation-avatars');
+
+  const messages = chat('message_box');
+  assert.equal(messages.querySelector('[onerror]'), null);
+  assert.equal(messages.querySelector('img[src="x"]'), null);
+  assert.equal(messages.querySelector('.message-user img.user').getAttribute('src'), '/assets/img/user-icon.webp');
+  assert.equal(messages.querySelector('.message-assistant img.user').getAttribute('src'), '/assets/img/gpt_egg.png');
+  assert.equal(window.pwned, undefined);
+});
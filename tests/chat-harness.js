@@ -0,0 +1,80 @@
+// Loads the chat page (index.html markup, its inline scripts, the modules and
+// the classic scripts) into the jsdom window of setup.js, without running
+// window.onload: each test starts the pieces it needs.
+import { dom } from './setup.js';
+import { readFileSync } from 'node:fs';
+
+const { window } = dom;
+const read = path => readFileSync(new URL(`../client/${path}`, import.meta.url), 'utf-8');
+
+// Run as a classic script, so that top-level const declarations are shared
+// between scripts as in the page (an eval would keep them to itself)
+const runScript = (source) => {
+  const script = window.document.createElement('script');
+  script.textContent = source;
+  window.document.head.appendChild(script);
+  script.remove();
+};
+
+const page = new window.DOMParser().parseFromString(read('html/index.html'), 'text/html');
+window.document.body.replaceWith(window.document.importNode(page.body, true));
+
+// Globals defined by the page itself (avatars, conversation id...)
+for (const script of page.querySelectorAll('head script:not([src])')) {
+  runScript(script.textContent);
+}
+
+runScript(read('js/config/chat-config.js'));
+window.ChatConfig.animations.typing.enabled = false;
+
+await import('../client/js/utils/sanitizer.js');
+await import('../client/js/utils/markdown-renderer.js');
+await import('../client/js/utils/stream-renderer.js');
+await import('../client/js/utils/api-client.js');
+await import('../client/js/utils/conversation-schema.js');
+await import('../client/js/utils/storage-manager.js');
+await import('../client/js/utils/search-index.js');
+await import('../client/js/utils/title-generator.js');
+await import('../client/js/utils/export-formats.js');
+await import('../client/js/utils/sync-manager.js');
+
+for (const component of ['toast', 'message-scroll', 'citation-card']) {
+  runScript(read(`js/components/${component}.js`));
+}
+
+// No backend: network calls fail unless a test stubs them
+window.fetch = async () => {
+  throw new TypeError('Network disabled in tests');
+};
+globalThis.fetch = window.fetch;
+
+runScript(read('js/chat.js'));
+window.onload = null;
+
+/**
+ * A top-level binding of chat.js (const declarations are not window properties)
+ */
+export const chat = name => window.eval(name);
+
+/**
+ * Prepare storage and the message list, as window.onload does
+ */
+export async function startChat() {
+  window.messageScroll.init(chat('message_box'), window.document.querySelector('.user-input-container'));
+  await chat('enqueue_storage')(() => chat('storage_manager').initialize());
+}
+
+/**
+ * Wait for the writes queued by chat.js
+ */
+export const flushStorage = () => chat('enqueue_storage')(() => null);
+
+/**
+ * An ApiClient stream yielding `text` as one content chunk
+ */
+export async function* answerStream(text) {
+  yield { type: 'content', content: text };
+  yield { type: 'done' };
+}
+
+export { dom, window };
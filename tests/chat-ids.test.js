@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startChat, flushStorage, answerStream, window } from './chat-harness.js';
+
+const api = chat('api_client');
+const sent = [];
+api.sendMessage = async (message, conversationId, options) => {
+  sent.push({ message, options });
+  return answerStream(`Réponse ${sent.length}`);
+};
+
+// Values built by chat.js belong to the jsdom realm: compare plain copies
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const conversation = async () => (await chat('read_conversation')(window.conversation_id)).messages;
+
+test('ask_gpt, regenerate and feedback target the answer, not the question', async (t) => {
+  await startChat();
+  window.conversation_id = 'conversation-ids';
+
+  await chat('ask_gpt')('Question 1');
+  const first = window.token;
+  await chat('ask_gpt')('Question 2');
+  const second = window.token;
+  await flushStorage();
+
+  let items = await conversation();
+  assert.deepEqual(items.map(item => [item.role, item.content]), [
+    ['user', 'Question 1'],
+    ['assistant', 'Réponse 1'],
+    ['user', 'Question 2'],
+    ['assistant', 'Réponse 2']
+  ]);
+
+  await t.test('regenerating the first answer resends the first question', async () => {
+    sent.length = 0;
+    await chat('regenerate_answer')(first);
+    await flushStorage();
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].message, 'Question 1');
+    assert.deepEqual(plain(sent[0].options.conversation), []);
+
+    items = await conversation();
+    assert.equal(items[0].content, 'Question 1');
+    assert.equal(items[0].variants, undefined);
+    assert.equal(items[1].content, 'Réponse 1');
+    assert.deepEqual(items[1].variants.map(variant => variant.content), ['Réponse 1', 'Réponse 1']);
+  });
+
+  await t.test('regenerating a later answer resends its own question', async () => {
+    sent.length = 0;
+    await chat('regenerate_answer')(second);
+    await flushStorage();
+
+    assert.equal(sent[0].message, 'Question 2');
+    assert.deepEqual(plain(sent[0].options.conversation).map(item => item.content), ['Question 1', 'Réponse 1']);
+
+    items = await conversation();
+    assert.equal(items[2].content, 'Question 2');
+    assert.equal(items[2].variants, undefined);
+    assert.equal(items[3].variants.length, 2);
+  });
+
+  await t.test('feedback is stored on the answer and sent with its question', async () => {
+    const feedback = [];
+    api.sendFeedback = async (payload) => {
+      feedback.push(payload);
+      return { success: true };
+    };
+
+    await chat('rate_answer')(first, 'like');
+    await chat('save_feedback')(second, { rating: 'dislike', reason: 'incomplete', comment: 'Trop court' });
+    await flushStorage();
+
+    assert.deepEqual(feedback.map(({ rating, question, answer }) => ({ rating, question, answer })), [
+      { rating: 'like', question: 'Question 1', answer: 'Réponse 1' },
+      { rating: 'dislike', question: 'Question 2', answer: 'Réponse 1' }
+    ]);
+
+    items = await conversation();
+    assert.equal(items[0].feedback, undefined);
+    assert.equal(items[2].feedback, undefined);
+    assert.equal(items[1].feedback.rating, 'like');
+    assert.equal(items[3].feedback.rating, 'dislike');
+  });
+});
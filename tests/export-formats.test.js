@@ -0,0 +1,32 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { conversationToDocx } from '../client/js/utils/export-formats.js';
+
+// Entries are stored uncompressed: the document part can be read from the bytes
+const documentXml = async (blob) => {
+  const text = new TextDecoder().decode(await blob.arrayBuffer());
+  const start = text.lastIndexOf('<?xml', text.indexOf('<w:document'));
+  return text.substring(start, text.indexOf('</w:document>') + '</w:document>'.length);
+};
+
+test('control characters pasted in a conversation do not break the DOCX', async () => {
+  const conversation = { id: 'c1', title: 'Bail\u0007 commercial', messages: [] };
+  const items = [
+    { role: 'user', content: 'Texte copié d\'un PDF :\u0000\u0001 art.\u000B 271\u000C CO\u001F' },
+    { role: 'assistant', content: 'Le congé est annulable\u0008 (art. 271 CO) & contestable.\n\n```\nligne\u0002\tcode\n```' }
+  ];
+
+  const xml = await documentXml(conversationToDocx(conversation, items, { model: 'nOg', date: '19.10.2026' }));
+  const parsed = new DOMParser().parseFromString(xml, 'application/xml');
+
+  assert.equal(parsed.getElementsByTagName('parsererror').length, 0);
+  assert.doesNotMatch(xml, /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/);
+
+  const text = [...parsed.getElementsByTagName('w:t')].map(node => node.textContent);
+  assert.ok(text.includes('Bail commercial'));
+  assert.ok(text.some(run => run.includes('art. 271 CO')));
+  assert.ok(text.some(run => run.includes('& contestable')));
+  // Tabs are valid XML and kept
+  assert.ok(text.includes('ligne\tcode'));
+});
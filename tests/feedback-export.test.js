@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, startChat, flushStorage, answerStream, window } from './chat-harness.js';
+
+const api = chat('api_client');
+api.sendMessage = async (message) => answerStream(`Réponse à « ${message} »`);
+api.sendFeedback = async () => ({ success: true });
+
+test('rated answers are exported with their own question and answer', async () => {
+  await startChat();
+  window.conversation_id = 'conversation-feedback';
+
+  await chat('ask_gpt')('Quel délai de prescription ?');
+  const first = window.token;
+  await chat('ask_gpt')('Et pour un contrat de bail ?');
+  const second = window.token;
+
+  await chat('rate_answer')(second, 'like');
+  await chat('save_feedback')(first, { rating: 'dislike', reason: 'incomplete', comment: 'Manque l\'art. 127 CO' });
+  await flushStorage();
+
+  const jsonl = await chat('storage_manager').exportFeedback({ format: 'jsonl' });
+  const records = jsonl.split('\n').map(line => JSON.parse(line));
+
+  assert.deepEqual(
+    records
+      .map(({ message_id, rating, comment, question, answer }) => ({ message_id, rating, comment, question, answer }))
+      .sort((a, b) => a.question.localeCompare(b.question)),
+    [
+      {
+        message_id: second,
+        rating: 'like',
+        comment: null,
+        question: 'Et pour un contrat de bail ?',
+        answer: 'Réponse à « Et pour un contrat de bail ? »'
+      },
+      {
+        message_id: first,
+        rating: 'dislike',
+        comment: 'Manque l\'art. 127 CO',
+        question: 'Quel délai de prescription ?',
+        answer: 'Réponse à « Quel délai de prescription ? »'
+      }
+    ]
+  );
+  assert.ok(records.every(record => record.conversation_id === 'conversation-feedback'));
+});
@@ -0,0 +1,91 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMarkdownRenderer } from '../client/js/utils/markdown-renderer.js';
+import { csvCell } from '../client/js/utils/sanitizer.js';
+
+const markdown = createMarkdownRenderer();
+
+// Clipboard of the page, replaced by each test
+const clipboard = { written: [], writeText: async text => { clipboard.written.push(text); } };
+Object.defineProperty(window.navigator, 'clipboard', { configurable: true, get: () => clipboard });
+
+const enhanced = (text) => {
+  const element = document.createElement('div');
+  element.innerHTML = markdown.render(text);
+  markdown.enhance(element);
+  return element;
+};
+
+// The click handlers are async: let them settle
+const click = async (button) => {
+  button.click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+};
+
+test('csvCell quotes separators and neutralizes formulas', () => {
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell('Bail'), 'Bail');
+  assert.equal(csvCell(42), '42');
+  assert.equal(csvCell('art. 41, al. 1'), '"art. 41, al. 1"');
+  assert.equal(csvCell('dit "oui"'), '"dit ""oui"""');
+  assert.equal(csvCell('=HYPERLINK("https://evil.example","x")'), '"\'=HYPERLINK(""https://evil.example"",""x"")"');
+  assert.equal(csvCell('+41 22 000 00 00'), '\'+41 22 000 00 00');
+  assert.equal(csvCell('-2+3'), '\'-2+3');
+  assert.equal(csvCell('@SUM(A1)'), '\'@SUM(A1)');
+  assert.equal(csvCell('\tcmd'), '\'\tcmd');
+});
+
+test('a table is copied as CSV without live formulas', async () => {
+  clipboard.written = [];
+  const element = enhanced([
+    '| Poste | Montant |',
+    '|-------|--------:|',
+    '| =1+1 | 1 200 |',
+    '| @SUM(A1:A2), total | -5 |'
+  ].join('\n'));
+
+  await click(element.querySelector('.table-copy-button'));
+
+  assert.deepEqual(clipboard.written, [
+    'Poste,Montant\r\n\'=1+1,1 200\r\n"\'@SUM(A1:A2), total",\'-5'
+  ]);
+});
+
+test('a refused clipboard shows on the table button', async () => {
+  const element = enhanced('| a | b |\n|---|---|\n| 1 | 2 |');
+  const button = element.querySelector('.table-copy-button');
+  const writeText = clipboard.writeText;
+  clipboard.writeText = async () => {
+    throw new window.DOMException('Document is not focused.', 'NotAllowedError');
+  };
+
+  try {
+    await click(button);
+  } finally {
+    clipboard.writeText = writeText;
+  }
+
+  assert.equal(button.textContent, 'Copie impossible');
+});
+
+test('code blocks are copied, and a refused clipboard shows on the button', async () => {
+  clipboard.written = [];
+  const element = enhanced('```js\nconst delai = 3;\n```');
+  const button = element.querySelector('pre > .hljs-copy-button');
+
+  await click(button);
+  assert.deepEqual(clipboard.written, ['const delai = 3;\n']);
+  assert.equal(button.dataset.copied, 'true');
+
+  const writeText = clipboard.writeText;
+  clipboard.writeText = async () => {
+    throw new window.DOMException('Write permission denied.', 'NotAllowedError');
+  };
+  try {
+    await click(button);
+  } finally {
+    clipboard.writeText = writeText;
+  }
+  assert.equal(button.dataset.copied, 'error');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { chat, startChat, flushStorage, window } from './chat-harness.js';
+import { conversationToHtml } from '../client/js/utils/export-formats.js';
+
+const answer = readFileSync(new URL('./fixtures/answer.md', import.meta.url), 'utf-8');
+
+// Streamed in uneven chunks so that blocks, table rows and the code fence are
+// cut mid-line, with the footnote definitions arriving last
+async function* chunkedStream(text, size = 17) {
+  for (let start = 0; start < text.length; start += size) {
+    yield { type: 'content', content: text.substring(start, start + size) };
+  }
+  yield { type: 'done' };
+}
+
+chat('api_client').sendMessage = async () => chunkedStream(answer);
+
+// Answer HTML of a bubble, without the action bar
+const bubbleHtml = (token) => {
+  const bubble = window.document.getElementById(`imanage_${token}`).cloneNode(true);
+  bubble.querySelector(':scope > .actions')?.remove();
+  return bubble.innerHTML.trim();
+};
+
+// The chat enhances the HTML once it is in the page (highlighting, copy and
+// CSV buttons); the exported HTML gets the same pass to be compared
+const enhanced = (html) => {
+  const element = window.document.createElement('div');
+  element.innerHTML = html;
+  chat('markdown').enhance(element);
+  return element.innerHTML.trim();
+};
+
+test('an answer renders the same streamed, reloaded and exported', async () => {
+  await startChat();
+  window.conversation_id = 'conversation-snapshot';
+
+  // (a) StreamRenderer, then the final answer_html pass
+  await chat('ask_gpt')('Quel délai de prescription ?');
+  const token = window.token;
+  const streamed = bubbleHtml(token);
+  await flushStorage();
+
+  // (b) Reload of the saved conversation
+  chat('message_box').innerHTML = '';
+  await chat('load_conversation')(window.conversation_id);
+  const reloaded = bubbleHtml(token);
+
+  // (c) Render hook given to the export dialog
+  let exportOptions = null;
+  window.conversationExportDialog = { open: options => { exportOptions = options; } };
+  await chat('export_conversation')(window.conversation_id);
+  const html = conversationToHtml(exportOptions.conversation, exportOptions.items, { render: exportOptions.render });
+  const exported = new window.DOMParser().parseFromString(html, 'text/html')
+    .querySelector('section.assistant');
+  exported.querySelector('h2').remove();
+
+  assert.equal(reloaded, streamed);
+  assert.equal(enhanced(exported.innerHTML), streamed);
+
+  // The snapshot holds every construct of the fixture
+  const rendered = new window.DOMParser().parseFromString(streamed, 'text/html').body;
+  assert.ok(rendered.querySelector('pre.hljs-copy-wrapper > code.language-python[data-highlighted="yes"]'));
+  assert.ok(rendered.querySelector('.table-container.table-enhanced > table td[align="right"]'));
+  assert.deepEqual([...rendered.querySelectorAll('sup.footnote-ref')].map(ref => ref.textContent), ['[1]', '[2]']);
+  assert.equal(rendered.querySelectorAll('.footnotes li').length, 2);
+  assert.deepEqual(
+    [...rendered.querySelectorAll('a.citation')].map(link => link.className),
+    ['citation citation-statute', 'citation citation-leadingCase', 'citation citation-frenchCode',
+      'citation citation-statute', 'citation citation-statute', 'citation citation-celex']
+  );
+  assert.equal(rendered.querySelectorAll('li.task-list-item input[type="checkbox"][disabled]').length, 2);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, window } from './chat-harness.js';
+
+test('renaming works for ids that are not valid CSS identifiers', () => {
+  const id = '2024.01 import:42#a';
+  const entry = window.document.createElement('div');
+  entry.id = `convo-${id}`;
+  entry.innerHTML = '<span class="convo-title">Bail commercial</span>';
+  chat('convo_list').appendChild(entry);
+
+  assert.doesNotThrow(() => chat('rename_conversation')(id));
+
+  const input = entry.querySelector('input.convo-rename');
+  assert.ok(input);
+  assert.equal(input.value, 'Bail commercial');
+});
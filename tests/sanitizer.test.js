@@ -0,0 +1,50 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { sanitizeHtml, safeUrl, escapeHtml } from '../client/js/utils/sanitizer.js';
+
+const payloads = JSON.parse(readFileSync(new URL('./fixtures/hostile-payloads.json', import.meta.url), 'utf-8'));
+
+// Checked on every output, whatever the payload
+const assertInert = (html) => {
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+
+  for (const element of body.querySelectorAll('*')) {
+    assert.ok(!['script', 'style', 'iframe', 'svg', 'math', 'object', 'embed', 'form', 'template'].includes(element.localName), element.outerHTML);
+    for (const { name, value } of element.attributes) {
+      assert.ok(!name.startsWith('on'), `${name} on ${element.localName}`);
+      assert.ok(!['style', 'srcdoc', 'id', 'formaction'].includes(name), `${name} on ${element.localName}`);
+      if (name === 'href') assert.notEqual(safeUrl(value, 'link'), null, value);
+      if (name === 'src') assert.notEqual(safeUrl(value, 'image'), null, value);
+    }
+    if (element.localName === 'a' && element.hasAttribute('href')) {
+      assert.equal(element.getAttribute('rel'), 'noopener noreferrer');
+    }
+  }
+};
+
+for (const { name, html, expected } of payloads) {
+  test(`hostile payload: ${name}`, () => {
+    const output = sanitizeHtml(html);
+    assertInert(output);
+    assert.equal(output, expected);
+    // Sanitizing twice changes nothing (no mutation on re-parse)
+    assert.equal(sanitizeHtml(output), output);
+  });
+}
+
+test('safe content is kept', () => {
+  const html = '<h2 class="title">Titre</h2><p><strong>Art. 41</strong> <a href="https://www.fedlex.admin.ch/" class="citation citation-statute">CO</a></p>'
+    + '<pre><code class="language-js">const a = 1;</code></pre><div class="table-container"><table><tbody><tr><td align="right">1</td></tr></tbody></table></div>'
+    + '<img src="data:image/png;base64,iVBORw0KGgo=" alt="schéma"><i class="fa fa-balance-scale"></i>';
+
+  assert.equal(sanitizeHtml(html),
+    '<h2>Titre</h2><p><strong>Art. 41</strong> <a href="https://www.fedlex.admin.ch/" class="citation citation-statute" target="_blank" rel="noopener noreferrer">CO</a></p>'
+    + '<pre><code class="language-js">const a = 1;</code></pre><div class="table-container"><table><tbody><tr><td align="right">1</td></tr></tbody></table></div>'
+    + '<img src="data:image/png;base64,iVBORw0KGgo=" alt="schéma"><i class="fa fa-balance-scale"></i>');
+});
+
+test('escapeHtml escapes quotes for attributes', () => {
+  assert.equal(escapeHtml(`"><img src=x onerror='alert(1)'>`), '&quot;&gt;&lt;img src=x onerror=&#39;alert(1)&#39;&gt;');
+});
@@ -0,0 +1,42 @@
+// Browser globals for the client modules under test (jsdom, marked,
+// fake-indexeddb). Classic scripts (chat.js, components) are evaluated in the
+// same window, see chat-harness.js.
+import 'fake-indexeddb/auto';
+import { JSDOM } from 'jsdom';
+import { marked } from 'marked';
+
+const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+  url: 'http://localhost/chat/',
+  pretendToBeVisual: true,
+  runScripts: 'dangerously'
+});
+const { window } = dom;
+
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.DOMParser = window.DOMParser;
+globalThis.Node = window.Node;
+globalThis.localStorage = window.localStorage;
+globalThis.requestAnimationFrame = window.requestAnimationFrame.bind(window);
+globalThis.cancelAnimationFrame = window.cancelAnimationFrame.bind(window);
+if (typeof globalThis.navigator === 'undefined') {
+  globalThis.navigator = window.navigator;
+}
+
+// Layout is not implemented by jsdom
+window.Element.prototype.scrollTo = function () {};
+window.Element.prototype.scrollIntoView = function () {};
+window.scrollTo = () => {};
+
+// Loaded from a CDN in the page
+globalThis.marked = marked;
+globalThis.hljs = {
+  highlightElement(element) {
+    element.dataset.highlighted = 'yes';
+  }
+};
+window.marked = globalThis.marked;
+window.hljs = globalThis.hljs;
+window.indexedDB = globalThis.indexedDB;
+
+export { dom };
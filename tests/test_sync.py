@@ -0,0 +1,136 @@
+"""Sync endpoint of the local backend: push from one device, pull from another,
+conflict on a stale baseRevision. The Vercel app must not expose it.
+
+Run from the repository root: python -m unittest discover tests
+"""
+import importlib.util
+import os
+import sys
+import tempfile
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from flask import Flask  # noqa: E402
+from server import backend  # noqa: E402
+
+
+def load_vercel_app():
+    spec = importlib.util.spec_from_file_location('vercel_index', os.path.join(ROOT, 'api', 'index.py'))
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+def conversation(id, title, content):
+    return {"id": id, "title": title, "messages": [{"role": "user", "content": content}]}
+
+
+class LocalBackendSyncTests(unittest.TestCase):
+    def setUp(self):
+        app = Flask(__name__)
+        api = backend.BackendApi(app)
+        for route, view in api.routes.items():
+            app.add_url_rule(route, view_func=view['function'], methods=view['methods'])
+        self.client = app.test_client()
+        self.module = backend
+        self.directory = tempfile.TemporaryDirectory()
+        self.previous_file = self.module.SYNC_FILE
+        self.module.SYNC_FILE = os.path.join(self.directory.name, 'sync.json')
+
+    def tearDown(self):
+        self.module.SYNC_FILE = self.previous_file
+        self.directory.cleanup()
+
+    def push(self, device, changes):
+        response = self.client.post('/backend-api/v2/sync', json={"device": device, "changes": changes})
+        self.assertEqual(response.status_code, 200)
+        return response.get_json()
+
+    def pull(self, since):
+        response = self.client.get(f'/backend-api/v2/sync?since={since}')
+        self.assertEqual(response.status_code, 200)
+        return response.get_json()
+
+    def test_push_from_one_device_pull_from_another(self):
+        pushed = self.push('laptop', [{
+            "id": "c1", "baseRevision": None, "lastModified": 1,
+            "deleted": False, "record": conversation("c1", "Bail", "Question")
+        }])
+        self.assertEqual(pushed['accepted'], [{"id": "c1", "revision": 1}])
+        self.assertEqual(pushed['conflicts'], [])
+
+        pulled = self.pull(0)
+        self.assertEqual(pulled['cursor'], 1)
+        self.assertEqual(len(pulled['changes']), 1)
+        change = pulled['changes'][0]
+        self.assertEqual((change['id'], change['revision'], change['device']), ("c1", 1, "laptop"))
+        self.assertEqual(change['record']['title'], "Bail")
+
+        # Nothing new after the cursor
+        self.assertEqual(self.pull(1)['changes'], [])
+
+    def test_stale_base_revision_is_a_conflict(self):
+        self.push('laptop', [{"id": "c1", "baseRevision": None, "lastModified": 1,
+                              "deleted": False, "record": conversation("c1", "Bail", "Question")}])
+        self.push('phone', [{"id": "c1", "baseRevision": 1, "lastModified": 2,
+                             "deleted": False, "record": conversation("c1", "Bail (téléphone)", "Question")}])
+
+        # The laptop still bases its edit on revision 1
+        stale = self.push('laptop', [{"id": "c1", "baseRevision": 1, "lastModified": 3,
+                                      "deleted": False, "record": conversation("c1", "Bail (portable)", "Question")}])
+        self.assertEqual(stale['accepted'], [])
+        self.assertEqual(len(stale['conflicts']), 1)
+        self.assertEqual(stale['conflicts'][0]['revision'], 2)
+        self.assertEqual(stale['conflicts'][0]['record']['title'], "Bail (téléphone)")
+
+        pulled = self.pull(0)
+        self.assertEqual(pulled['cursor'], 2)
+        self.assertEqual(pulled['changes'][0]['record']['title'], "Bail (téléphone)")
+
+    def test_deletion_is_pulled_without_record(self):
+        self.push('laptop', [{"id": "c1", "baseRevision": None, "lastModified": 1,
+                              "deleted": False, "record": conversation("c1", "Bail", "Question")}])
+        self.push('phone', [{"id": "c1", "baseRevision": 1, "lastModified": 2, "deleted": True, "record": None}])
+
+        change = self.pull(1)['changes'][0]
+        self.assertTrue(change['deleted'])
+        self.assertIsNone(change['record'])
+
+    def test_push_without_changes_is_refused(self):
+        response = self.client.post('/backend-api/v2/sync', json={"device": "laptop"})
+        self.assertEqual(response.status_code, 400)
+
+    def test_malformed_changes_are_skipped_not_the_batch(self):
+        valid = {"id": "c1", "baseRevision": None, "lastModified": 1,
+                 "deleted": False, "record": conversation("c1", "Bail", "Question")}
+        pushed = self.push('laptop', [
+            "c0",
+            {**valid, "id": ["x"]},
+            {**valid, "id": {"a": 1}},
+            {**valid, "id": ""},
+            {**valid, "id": "c2", "baseRevision": "1"},
+            {**valid, "id": "c3", "baseRevision": True},
+            {**valid, "id": "c4", "lastModified": "hier"},
+            {**valid, "id": "c5", "lastModified": None},
+            valid
+        ])
+        self.assertEqual(pushed['accepted'], [{"id": "c1", "revision": 1}])
+        self.assertEqual([change['id'] for change in self.pull(0)['changes']], ["c1"])
+
+    def test_pull_is_not_readable_cross_origin(self):
+        response = self.client.get('/backend-api/v2/sync?since=0')
+        self.assertNotIn('Access-Control-Allow-Origin', response.headers)
+
+
+class VercelBackendTests(unittest.TestCase):
+    def test_sync_is_not_exposed(self):
+        client = load_vercel_app().app.test_client()
+        # Only the generic /backend-api fallback answers, without any change
+        self.assertNotIn('changes', client.get('/backend-api/v2/sync?since=0').get_json())
+        self.assertEqual(client.post('/backend-api/v2/sync', json={"changes": []}).status_code, 405)
+
+
+if __name__ == '__main__':
+    unittest.main()